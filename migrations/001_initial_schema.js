@@ -0,0 +1,449 @@
+// Baseline schema - everything the app created at boot before migrations existed
+// Every statement is idempotent, so databases that already have these tables just record it as applied
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS support_tickets (
+        id SERIAL PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        severity VARCHAR(20) DEFAULT 'low',
+        status VARCHAR(20) DEFAULT 'open',
+        customer_id INTEGER,
+        assigned_to VARCHAR(100),
+        resolution_time INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_status ON support_tickets(status);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_severity ON support_tickets(severity);
+    `);
+
+    // Status workflow bookkeeping (added after the original schema)
+    await client.query(`
+      ALTER TABLE support_tickets
+        ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS resolve_count INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS reopen_count INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP;
+    `);
+
+    // Customer accounts that tickets belong to
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        plan VARCHAR(20) DEFAULT 'hobby',
+        contact_email VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Tickets created before the customers table existed reference bare ids -
+    // give each one a placeholder customer so the foreign key can be added
+    await client.query(`
+      INSERT INTO customers (id, name)
+      SELECT DISTINCT customer_id, 'Customer ' || customer_id
+      FROM support_tickets
+      WHERE customer_id IS NOT NULL
+      ON CONFLICT (id) DO NOTHING;
+    `);
+
+    await client.query(`
+      SELECT setval('customers_id_seq', GREATEST((SELECT MAX(id) FROM customers), 1));
+    `);
+
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_tickets_customer') THEN
+          ALTER TABLE support_tickets
+            ADD CONSTRAINT fk_tickets_customer FOREIGN KEY (customer_id) REFERENCES customers(id);
+        END IF;
+      END $$;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_customer ON support_tickets(customer_id);
+    `);
+
+    // Support agent roster - names are unique regardless of case
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agents (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        email VARCHAR(255),
+        skills TEXT[] DEFAULT '{}',
+        available BOOLEAN DEFAULT true,
+        last_assigned_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_name_lower ON agents(LOWER(name));
+    `);
+
+    // Free-text assignees from before the roster existed become agents;
+    // "Sarah Chen" and "sarah chen" collapse into one
+    await client.query(`
+      UPDATE support_tickets SET assigned_to = NULLIF(TRIM(assigned_to), '')
+      WHERE assigned_to IS DISTINCT FROM NULLIF(TRIM(assigned_to), '');
+    `);
+
+    await client.query(`
+      INSERT INTO agents (name)
+      SELECT DISTINCT ON (LOWER(assigned_to)) assigned_to
+      FROM support_tickets
+      WHERE assigned_to IS NOT NULL
+      ORDER BY LOWER(assigned_to), assigned_to
+      ON CONFLICT DO NOTHING;
+    `);
+
+    await client.query(`
+      UPDATE support_tickets t SET assigned_to = a.name
+      FROM agents a
+      WHERE LOWER(t.assigned_to) = LOWER(a.name) AND t.assigned_to <> a.name;
+    `);
+
+    // Renaming an agent follows through to tickets; removing one unassigns them
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_tickets_agent') THEN
+          ALTER TABLE support_tickets
+            ADD CONSTRAINT fk_tickets_agent FOREIGN KEY (assigned_to) REFERENCES agents(name)
+            ON UPDATE CASCADE ON DELETE SET NULL;
+        END IF;
+      END $$;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_assigned_to ON support_tickets(assigned_to);
+    `);
+
+    // SLA targets per severity, in minutes
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sla_policies (
+        severity VARCHAR(20) PRIMARY KEY,
+        first_response_minutes INTEGER NOT NULL,
+        resolution_minutes INTEGER NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Default policies - only inserted once, later edits via the API are kept
+    await client.query(`
+      INSERT INTO sla_policies (severity, first_response_minutes, resolution_minutes)
+      VALUES
+        ('low', 480, 4320),
+        ('medium', 240, 1440),
+        ('high', 60, 480),
+        ('critical', 15, 240)
+      ON CONFLICT (severity) DO NOTHING;
+    `);
+
+    // Full-text search over title (weighted higher) and description
+    await client.query(`
+      ALTER TABLE support_tickets
+        ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+          setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+        ) STORED;
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_search ON support_tickets USING GIN(search_vector);
+    `);
+
+    // Comment thread for each ticket (customer replies and internal agent notes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_comments (
+        id SERIAL PRIMARY KEY,
+        ticket_id INTEGER NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+        author VARCHAR(100) NOT NULL,
+        body TEXT NOT NULL,
+        visibility VARCHAR(20) DEFAULT 'public',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_comments_ticket ON ticket_comments(ticket_id, created_at);
+    `);
+
+    // Audit trail - one row per field changed on a ticket
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_events (
+        id SERIAL PRIMARY KEY,
+        ticket_id INTEGER NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+        field VARCHAR(50) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        actor VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_events_ticket ON ticket_events(ticket_id, created_at);
+    `);
+
+    // Tags label tickets by product area (postgres, networking, build, ...)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_tags (
+        ticket_id INTEGER NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (ticket_id, tag_id)
+      );
+    `);
+
+    // The primary key covers ticket -> tags; this covers tag -> tickets for filtering
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ticket_tags_tag ON ticket_tags(tag_id, ticket_id);
+    `);
+
+    // Merged duplicates point at the ticket they were folded into; moved comments
+    // and copied history events remember which ticket they came from
+    await client.query(`
+      ALTER TABLE support_tickets
+        ADD COLUMN IF NOT EXISTS merged_into INTEGER REFERENCES support_tickets(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+    `);
+
+    await client.query(`
+      ALTER TABLE ticket_comments ADD COLUMN IF NOT EXISTS merged_from INTEGER;
+    `);
+
+    await client.query(`
+      ALTER TABLE ticket_events ADD COLUMN IF NOT EXISTS merged_from INTEGER;
+    `);
+
+    // Optimistic concurrency: every write to a ticket bumps its version, whichever code path
+    // (or foreign key cascade) made it, so clients can detect that their copy is stale
+    await client.query(`
+      ALTER TABLE support_tickets ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION bump_ticket_version() RETURNS trigger AS $$
+      BEGIN
+        NEW.version := OLD.version + 1;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS trg_ticket_version ON support_tickets;
+      CREATE TRIGGER trg_ticket_version
+        BEFORE UPDATE ON support_tickets
+        FOR EACH ROW EXECUTE FUNCTION bump_ticket_version();
+    `);
+
+    // Soft delete - deleted tickets stay in the table (restorable) but are hidden everywhere
+    await client.query(`
+      ALTER TABLE support_tickets ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    `);
+
+    // Cold storage for long-resolved tickets: a JSONB snapshot of the row, its comments,
+    // history and tags (see archive.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_archive (
+        id INTEGER PRIMARY KEY,
+        ticket JSONB NOT NULL,
+        tags TEXT[] DEFAULT '{}',
+        comments JSONB DEFAULT '[]',
+        events JSONB DEFAULT '[]',
+        resolved_at TIMESTAMP,
+        archived_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // The archive job scans for resolved tickets by age
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_resolved_at ON support_tickets(resolved_at) WHERE status = 'resolved';
+    `);
+
+    // Files attached to a ticket; the bytes live in the S3 bucket under tickets/<id>/
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_attachments (
+        id SERIAL PRIMARY KEY,
+        ticket_id INTEGER NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        content_type VARCHAR(255) NOT NULL,
+        size_bytes BIGINT NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        storage_key TEXT UNIQUE NOT NULL,
+        uploaded_by VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_attachments_ticket ON ticket_attachments(ticket_id, created_at);
+    `);
+
+    // Archived tickets keep their attachment rows (the objects stay in the bucket)
+    await client.query(`
+      ALTER TABLE ticket_archive ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]';
+    `);
+
+    // Live event stream (see stream.js): triggers record every ticket change and comment here and
+    // NOTIFY its id, so events reach the listeners on every replica whichever code path made the change.
+    // Rows are short-lived - they only exist so reconnecting clients can resume with Last-Event-ID
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_stream (
+        id BIGSERIAL PRIMARY KEY,
+        type VARCHAR(20) NOT NULL,
+        ticket_id INTEGER NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_ticket_stream_created ON ticket_stream(created_at);
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION ticket_stream_snapshot(t support_tickets) RETURNS jsonb AS $$
+        SELECT jsonb_build_object(
+          'id', t.id,
+          'title', t.title,
+          'status', t.status,
+          'severity', t.severity,
+          'customer_id', t.customer_id,
+          'assigned_to', t.assigned_to,
+          'version', t.version,
+          'deleted', t.deleted_at IS NOT NULL
+        );
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION stream_ticket_change() RETURNS trigger AS $$
+      DECLARE
+        event_id BIGINT;
+      BEGIN
+        INSERT INTO ticket_stream (type, ticket_id, data)
+        VALUES (
+          CASE TG_OP WHEN 'INSERT' THEN 'created' ELSE 'updated' END,
+          NEW.id,
+          jsonb_build_object(
+            'ticket', ticket_stream_snapshot(NEW),
+            'previous', CASE WHEN TG_OP = 'UPDATE' THEN jsonb_build_object(
+              'status', OLD.status,
+              'severity', OLD.severity,
+              'assigned_to', OLD.assigned_to
+            ) END
+          )
+        )
+        RETURNING id INTO event_id;
+
+        PERFORM pg_notify('ticket_stream', event_id::text);
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    // Restoring an archived ticket re-inserts its old comments; it sets ticket_stream.skip_comments
+    // for its transaction so they aren't announced as new
+    await client.query(`
+      CREATE OR REPLACE FUNCTION stream_ticket_comment() RETURNS trigger AS $$
+      DECLARE
+        event_id BIGINT;
+      BEGIN
+        IF current_setting('ticket_stream.skip_comments', true) = 'on' THEN
+          RETURN NULL;
+        END IF;
+
+        INSERT INTO ticket_stream (type, ticket_id, data)
+        SELECT 'commented', t.id, jsonb_build_object(
+          'ticket', ticket_stream_snapshot(t),
+          'comment', jsonb_build_object(
+            'id', NEW.id,
+            'author', NEW.author,
+            'visibility', NEW.visibility
+          )
+        )
+        FROM support_tickets t
+        WHERE t.id = NEW.ticket_id
+        RETURNING id INTO event_id;
+
+        PERFORM pg_notify('ticket_stream', event_id::text);
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS trg_ticket_stream ON support_tickets;
+      CREATE TRIGGER trg_ticket_stream
+        AFTER INSERT OR UPDATE ON support_tickets
+        FOR EACH ROW EXECUTE FUNCTION stream_ticket_change();
+
+      DROP TRIGGER IF EXISTS trg_comment_stream ON ticket_comments;
+      CREATE TRIGGER trg_comment_stream
+        AFTER INSERT ON ticket_comments
+        FOR EACH ROW EXECUTE FUNCTION stream_ticket_comment();
+    `);
+
+    // Trigram similarity powers duplicate detection; without it new tickets
+    // are simply created without duplicate suggestions
+    // (the savepoint keeps a failure from aborting the migration's transaction)
+    await client.query('SAVEPOINT pg_trgm');
+    try {
+      await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT pg_trgm');
+      console.warn('[MIGRATE] pg_trgm unavailable, duplicate detection disabled:', err.message);
+    }
+  },
+
+  // Drops every table and all of their data
+  async down(client) {
+    // CASCADE takes the triggers and ticket_stream_snapshot (which uses the support_tickets row type) with it
+    await client.query(`
+      DROP TABLE IF EXISTS
+        ticket_stream,
+        ticket_attachments,
+        ticket_archive,
+        ticket_tags,
+        tags,
+        ticket_events,
+        ticket_comments,
+        sla_policies,
+        support_tickets,
+        agents,
+        customers
+      CASCADE;
+    `);
+
+    // pg_trgm is left installed; other objects in the database may use it
+    await client.query(`
+      DROP FUNCTION IF EXISTS stream_ticket_comment();
+      DROP FUNCTION IF EXISTS stream_ticket_change();
+      DROP FUNCTION IF EXISTS bump_ticket_version();
+    `);
+  },
+};
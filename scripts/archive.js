@@ -0,0 +1,34 @@
+// Archive job - moves tickets resolved more than ARCHIVE_AFTER_DAYS days ago out of support_tickets
+// Run with: npm run archive (add --dry-run to only list them)
+// On Railway, run it as a cron service with the same DATABASE_URL
+const config = require('../src/config');
+const db = require('../src/db');
+const { archiveResolvedTickets } = require('../src/archive');
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(
+    `[ARCHIVE] Archiving tickets resolved more than ${config.archiveAfterDays} days ago${dryRun ? ' (dry run)' : ''}...`
+  );
+
+  try {
+    const ids = await archiveResolvedTickets(db, {
+      olderThanDays: config.archiveAfterDays,
+      dryRun,
+    });
+
+    console.log(`[ARCHIVE] ${dryRun ? 'Would archive' : 'Archived'} ${ids.length} tickets`);
+    if (ids.length > 0) {
+      console.log(`[ARCHIVE] Ticket ids: ${ids.join(', ')}`);
+    }
+
+    await db.pool.end();
+    process.exit(0);
+  } catch (err) {
+    console.error('[ARCHIVE] Error:', err.message);
+    await db.pool.end();
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,83 @@
+// Schema migrations CLI
+// Run with: npm run migrate [command]
+//   up [version]     apply pending migrations (the default), optionally only up to a version
+//   down [steps]     revert the last applied migration (or the last N)
+//   status           list every migration and whether it is applied
+//   force <version>  mark a dirty migration as applied after fixing the schema by hand
+// On Railway, set the pre-deploy command to: npm run migrate
+const db = require('../src/db');
+const migrate = require('../src/migrate');
+
+function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a number`);
+  }
+  return parseInt(value, 10);
+}
+
+async function printStatus() {
+  const client = await db.pool.connect();
+  try {
+    const status = await migrate.getStatus(client);
+
+    for (const m of status.migrations) {
+      let state = 'pending';
+      if (m.record) {
+        state = m.record.dirty ? 'DIRTY' : `applied ${m.record.applied_at.toISOString()}`;
+      }
+      console.log(`[MIGRATE] ${migrate.migrationLabel(m)}: ${state}`);
+    }
+    for (const row of status.missing) {
+      console.log(`[MIGRATE] ${migrate.migrationLabel(row)}: applied, file missing`);
+    }
+
+    console.log(`[MIGRATE] ${status.pending.length} pending${status.dirty ? ', schema is dirty' : ''}`);
+  } finally {
+    client.release();
+  }
+}
+
+async function run() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrate.migrateUp(db.pool, { to: parseNumber(arg, 'version') });
+        console.log(applied.length ? `[MIGRATE] Applied ${applied.length} migrations` : '[MIGRATE] Schema is up to date');
+        break;
+      }
+      case 'down': {
+        const steps = parseNumber(arg, 'steps');
+        if (steps === 0) throw new Error('steps must be at least 1');
+        const reverted = await migrate.migrateDown(db.pool, { steps: steps === undefined ? 1 : steps });
+        console.log(`[MIGRATE] Reverted ${reverted.length} migrations`);
+        break;
+      }
+      case 'status':
+        await printStatus();
+        break;
+      case 'force': {
+        const version = parseNumber(arg, 'version');
+        if (version === undefined) throw new Error('Usage: npm run migrate force <version>');
+
+        const forced = await migrate.forceVersion(db.pool, version);
+        if (!forced) throw new Error(`Migration ${version} is not dirty`);
+        console.log(`[MIGRATE] Marked ${migrate.migrationLabel({ version, name: forced.name })} as applied`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command} (expected up, down, status or force)`);
+    }
+
+    await db.pool.end();
+    process.exit(0);
+  } catch (err) {
+    console.error('[MIGRATE] Error:', err.message);
+    await db.pool.end();
+    process.exit(1);
+  }
+}
+
+run();
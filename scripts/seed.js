@@ -16,6 +16,36 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
 });
 
+// Sample customer accounts - every ticket below belongs to one of these
+const sampleCustomers = [
+  { id: 1001, name: 'Northwind Logistics', plan: 'pro', contact_email: 'ops@northwind.dev' },
+  { id: 1002, name: 'Bluebird Analytics', plan: 'pro', contact_email: 'infra@bluebird.io' },
+  { id: 1003, name: 'Pixel Forge', plan: 'hobby', contact_email: 'hello@pixelforge.app' },
+  { id: 1004, name: 'Lumen Health', plan: 'enterprise', contact_email: 'platform@lumenhealth.com' },
+  { id: 1005, name: 'Quarry Labs', plan: 'pro', contact_email: 'eng@quarrylabs.dev' },
+  { id: 1006, name: 'Tandem Travel', plan: 'hobby', contact_email: 'dev@tandem.travel' },
+  { id: 1007, name: 'Cobalt Finance', plan: 'enterprise', contact_email: 'sre@cobaltfinance.com' },
+  { id: 1008, name: 'Orchard Market', plan: 'pro', contact_email: 'tech@orchard.market' },
+  { id: 1009, name: 'Juniper Notes', plan: 'trial', contact_email: 'founder@junipernotes.app' },
+  { id: 1010, name: 'Summit Outdoors', plan: 'hobby', contact_email: 'web@summitoutdoors.co' },
+  { id: 1011, name: 'Kestrel AI', plan: 'pro', contact_email: 'ml-platform@kestrel.ai' },
+  { id: 1012, name: 'Harbor Payments', plan: 'enterprise', contact_email: 'oncall@harborpay.com' },
+  { id: 1013, name: 'Mosaic Media', plan: 'pro', contact_email: 'backend@mosaic.media' },
+  { id: 1014, name: 'Fern & Co', plan: 'hobby', contact_email: 'studio@fernandco.design' },
+  { id: 1015, name: 'Atlas Fitness', plan: 'pro', contact_email: 'devops@atlasfit.app' },
+  { id: 1016, name: 'Willow Tutors', plan: 'trial', contact_email: 'admin@willowtutors.org' },
+  { id: 1017, name: 'Beacon Chat', plan: 'hobby', contact_email: 'team@beaconchat.io' },
+  { id: 1018, name: 'Granite Insurance', plan: 'enterprise', contact_email: 'platform@graniteins.com' },
+  { id: 1019, name: 'Ripple Games', plan: 'pro', contact_email: 'live-ops@ripplegames.gg' },
+];
+
+// Support agents - tickets below are assigned to them by name
+const sampleAgents = [
+  { name: 'Sarah Chen', email: 'sarah@support.example', skills: ['deployments', 'docker', 'networking'] },
+  { name: 'Mike Rodriguez', email: 'mike@support.example', skills: ['postgres', 'networking', 'integrations'] },
+  { name: 'Alex Kim', email: 'alex@support.example', skills: ['performance', 'frontend', 'billing'] },
+];
+
 // Sample ticket data - realistic support scenarios
 const sampleTickets = [
   {
@@ -25,6 +55,7 @@ const sampleTickets = [
     status: 'open',
     customer_id: 1001,
     assigned_to: 'Sarah Chen',
+    tags: ['deployments', 'networking'],
   },
   {
     title: 'DATABASE_URL not connecting',
@@ -33,6 +64,7 @@ const sampleTickets = [
     status: 'in_progress',
     customer_id: 1002,
     assigned_to: 'Mike Rodriguez',
+    tags: ['postgres', 'networking'],
   },
   {
     title: 'Build succeeds but deploy crashes',
@@ -42,6 +74,7 @@ const sampleTickets = [
     customer_id: 1003,
     assigned_to: 'Sarah Chen',
     resolution_time: 45,
+    tags: ['build', 'deployments'],
   },
   {
     title: 'Slow API response times',
@@ -50,6 +83,7 @@ const sampleTickets = [
     status: 'in_progress',
     customer_id: 1001,
     assigned_to: 'Alex Kim',
+    tags: ['performance', 'postgres'],
   },
   {
     title: 'Environment variables not loading',
@@ -59,6 +93,7 @@ const sampleTickets = [
     customer_id: 1004,
     assigned_to: 'Mike Rodriguez',
     resolution_time: 30,
+    tags: ['config'],
   },
   {
     title: 'Memory usage growing continuously',
@@ -67,6 +102,7 @@ const sampleTickets = [
     status: 'escalated',
     customer_id: 1005,
     assigned_to: null,
+    tags: ['performance'],
   },
   {
     title: 'CORS errors in production',
@@ -76,6 +112,7 @@ const sampleTickets = [
     customer_id: 1006,
     assigned_to: 'Alex Kim',
     resolution_time: 20,
+    tags: ['networking', 'frontend'],
   },
   {
     title: 'Database migrations not running',
@@ -84,6 +121,7 @@ const sampleTickets = [
     status: 'open',
     customer_id: 1007,
     assigned_to: 'Sarah Chen',
+    tags: ['postgres', 'deployments'],
   },
   {
     title: 'Webhook integration timing out',
@@ -92,6 +130,7 @@ const sampleTickets = [
     status: 'in_progress',
     customer_id: 1008,
     assigned_to: 'Mike Rodriguez',
+    tags: ['integrations', 'networking'],
   },
   {
     title: 'Logs not showing console.log output',
@@ -101,6 +140,7 @@ const sampleTickets = [
     customer_id: 1009,
     assigned_to: 'Alex Kim',
     resolution_time: 10,
+    tags: ['observability'],
   },
   {
     title: 'SSL certificate issues',
@@ -109,6 +149,7 @@ const sampleTickets = [
     status: 'open',
     customer_id: 1010,
     assigned_to: null,
+    tags: ['networking', 'domains'],
   },
   {
     title: 'Dockerfile CMD not executing',
@@ -118,6 +159,7 @@ const sampleTickets = [
     customer_id: 1011,
     assigned_to: 'Sarah Chen',
     resolution_time: 60,
+    tags: ['build', 'docker'],
   },
   {
     title: 'Rate limiting from external API',
@@ -126,6 +168,7 @@ const sampleTickets = [
     status: 'in_progress',
     customer_id: 1012,
     assigned_to: 'Alex Kim',
+    tags: ['integrations'],
   },
   {
     title: 'Database connection pool exhausted',
@@ -134,6 +177,7 @@ const sampleTickets = [
     status: 'open',
     customer_id: 1013,
     assigned_to: 'Mike Rodriguez',
+    tags: ['postgres', 'performance'],
   },
   {
     title: 'Static files not serving',
@@ -143,6 +187,7 @@ const sampleTickets = [
     customer_id: 1014,
     assigned_to: 'Sarah Chen',
     resolution_time: 15,
+    tags: ['frontend', 'deployments'],
   },
   {
     title: 'Health check endpoint timing out',
@@ -152,6 +197,7 @@ const sampleTickets = [
     customer_id: 1015,
     assigned_to: 'Mike Rodriguez',
     resolution_time: 25,
+    tags: ['deployments', 'observability'],
   },
   {
     title: 'Question about pricing',
@@ -161,6 +207,7 @@ const sampleTickets = [
     customer_id: 1016,
     assigned_to: 'Alex Kim',
     resolution_time: 5,
+    tags: ['billing'],
   },
   {
     title: 'Cannot connect to Redis',
@@ -169,6 +216,7 @@ const sampleTickets = [
     status: 'open',
     customer_id: 1017,
     assigned_to: null,
+    tags: ['networking', 'redis'],
   },
   {
     title: 'Deployment rollback needed',
@@ -178,6 +226,7 @@ const sampleTickets = [
     customer_id: 1018,
     assigned_to: 'Sarah Chen',
     resolution_time: 10,
+    tags: ['deployments'],
   },
   {
     title: 'Private networking setup help',
@@ -186,6 +235,7 @@ const sampleTickets = [
     status: 'open',
     customer_id: 1019,
     assigned_to: 'Alex Kim',
+    tags: ['networking'],
   },
 ];
 
@@ -198,21 +248,58 @@ async function seed() {
     await pool.query('SELECT NOW()');
     console.log('[SEED] Database connection successful');
 
-    // Clear existing data
+    // Clear existing data (tickets first - they reference customers)
     console.log('[SEED] Clearing existing tickets...');
     const deleteResult = await pool.query('DELETE FROM support_tickets');
     console.log(`[SEED] Deleted ${deleteResult.rowCount} existing tickets`);
+    await pool.query('DELETE FROM customers');
+    await pool.query('DELETE FROM agents');
+    await pool.query('DELETE FROM tags');
+    await pool.query('DELETE FROM ticket_archive');
+    await pool.query('DELETE FROM ticket_stream');
 
     // Reset sequence
     await pool.query('ALTER SEQUENCE support_tickets_id_seq RESTART WITH 1');
 
+    // Insert sample customers with fixed ids, then move the sequence past them
+    console.log(`[SEED] Inserting ${sampleCustomers.length} sample customers...`);
+
+    for (const customer of sampleCustomers) {
+      await pool.query(
+        `INSERT INTO customers (id, name, plan, contact_email)
+         VALUES ($1, $2, $3, $4)`,
+        [customer.id, customer.name, customer.plan, customer.contact_email]
+      );
+    }
+
+    await pool.query("SELECT setval('customers_id_seq', (SELECT MAX(id) FROM customers))");
+
+    // Insert agents before the tickets that reference them
+    console.log(`[SEED] Inserting ${sampleAgents.length} sample agents...`);
+
+    for (const agent of sampleAgents) {
+      await pool.query(
+        'INSERT INTO agents (name, email, skills) VALUES ($1, $2, $3)',
+        [agent.name, agent.email, agent.skills]
+      );
+    }
+
     // Insert sample tickets
     console.log(`[SEED] Inserting ${sampleTickets.length} sample tickets...`);
 
     for (const ticket of sampleTickets) {
-      await pool.query(
-        `INSERT INTO support_tickets (title, description, severity, status, customer_id, assigned_to, resolution_time)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      // Resolved tickets are backdated so resolution_time matches created_at -> resolved_at
+      const resolved = ticket.status === 'resolved';
+      // Anything past open has been picked up, which counts as the first response
+      const responded = ticket.status !== 'open';
+
+      const result = await pool.query(
+        `INSERT INTO support_tickets
+           (title, description, severity, status, customer_id, assigned_to, resolution_time,
+            created_at, resolved_at, resolve_count, first_response_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() - $8 * INTERVAL '1 minute', $9, $10,
+                 CASE WHEN $11 THEN NOW() - $8 * INTERVAL '1 minute' END)
+         RETURNING id`,
         [
           ticket.title,
           ticket.description,
@@ -221,8 +308,25 @@ async function seed() {
           ticket.customer_id,
           ticket.assigned_to || null,
           ticket.resolution_time || null,
+          ticket.resolution_time || 0,
+          resolved ? new Date() : null,
+          resolved ? 1 : 0,
+          responded,
         ]
       );
+
+      // Tags are created on first use
+      for (const tag of ticket.tags || []) {
+        await pool.query(
+          `WITH tag AS (
+             INSERT INTO tags (name) VALUES ($2)
+             ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+             RETURNING id
+           )
+           INSERT INTO ticket_tags (ticket_id, tag_id) SELECT $1, id FROM tag`,
+          [result.rows[0].id, tag]
+        );
+      }
     }
 
     // Verify
@@ -65,8 +65,18 @@ test_endpoint() {
 # Health Checks
 echo "=== HEALTH ENDPOINTS ==="
 test_endpoint "GET" "/health" "Basic health check"
+test_endpoint "GET" "/health/live" "Liveness probe"
+test_endpoint "GET" "/health/ready" "Readiness probe"
+test_endpoint "GET" "/health/startup" "Startup probe"
 test_endpoint "GET" "/health/full" "Full health check"
-test_endpoint "GET" "/metrics" "Metrics endpoint"
+test_endpoint "GET" "/metrics" "Prometheus metrics"
+echo -n "Testing: Metrics JSON view ... "
+metrics_code=$(curl -s -o /dev/null -w "%{http_code}" -H "Accept: application/json" "$URL/metrics")
+if [ "$metrics_code" = "200" ]; then
+  echo -e "${GREEN}✓ $metrics_code${NC}"
+else
+  echo -e "${RED}✗ $metrics_code${NC}"
+fi
 echo ""
 
 # Ticket Operations
@@ -74,10 +84,64 @@ echo "=== TICKET ENDPOINTS ==="
 test_endpoint "GET" "/api/tickets" "List all tickets"
 test_endpoint "GET" "/api/tickets?status=open" "Filter by status"
 test_endpoint "GET" "/api/tickets?severity=high" "Filter by severity"
+test_endpoint "GET" "/api/tickets?q=%22bad%20gateway%22%20deploy*" "Full-text search"
+test_endpoint "GET" "/api/tickets?sort=-severity&limit=5&include_total=true" "Sorted page with total"
 test_endpoint "GET" "/api/tickets/1" "Get ticket by ID"
 test_endpoint "POST" "/api/tickets" "Create new ticket" '{"title":"Test ticket from script","severity":"low"}'
-test_endpoint "PATCH" "/api/tickets/1" "Update ticket" '{"status":"in_progress"}'
+TEST_TICKET_ID=$(echo "$body" | sed -n 's/^{"id":\([0-9]*\).*/\1/p')
+test_endpoint "PATCH" "/api/tickets/1" "Update ticket" '{"status":"in_progress","actor":"Test Script"}'
+test_endpoint "PATCH" "/api/tickets/1" "Versioned update" '{"severity":"high","version":2,"actor":"Test Script"}'
+test_endpoint "GET" "/api/tickets/1/history" "Get ticket history"
+test_endpoint "POST" "/api/tickets" "Create likely duplicate" '{"title":"DATABASE_URL not connecting again","customer_id":1002}'
+test_endpoint "GET" "/api/tickets/export?format=csv&status=open" "Export open tickets as CSV"
+test_endpoint "GET" "/api/tickets/export?format=ndjson" "Export tickets as NDJSON"
+test_endpoint "POST" "/api/tickets/bulk" "Bulk assign (dry run)" '{"filter":{"status":"open"},"action":"assign","value":"Test Script","dry_run":true}'
 test_endpoint "GET" "/api/tickets/stats" "Get ticket statistics"
+test_endpoint "GET" "/api/tickets/stats?interval=week" "Get weekly ticket trends"
+test_endpoint "GET" "/api/tickets/sla" "SLA breach report"
+test_endpoint "GET" "/api/tickets/sla/policies" "List SLA policies"
+test_endpoint "POST" "/api/tickets/1/comments" "Add ticket comment" '{"author":"Test Script","body":"Comment from test script","visibility":"internal"}'
+test_endpoint "GET" "/api/tickets/1/comments" "List ticket comments"
+test_endpoint "GET" "/api/tickets/1?include=comments" "Get ticket with comments"
+test_endpoint "GET" "/api/tickets/1/attachments" "List ticket attachments"
+
+# The event stream never ends by itself, so read it for two seconds
+echo -n "Testing: Ticket event stream ... "
+stream_code=$(curl -s -o /dev/null -m 2 -w "%{http_code}" "$URL/api/tickets/stream?status=open")
+if [ "$stream_code" = "200" ]; then
+  echo -e "${GREEN}✓ $stream_code${NC}"
+else
+  echo -e "${RED}✗ $stream_code${NC}"
+fi
+test_endpoint "GET" "/api/tickets?include=archived" "List including archived"
+test_endpoint "POST" "/api/tickets/archive" "Archive old tickets (dry run)" '{"older_than_days":90,"dry_run":true}'
+test_endpoint "DELETE" "/api/tickets/$TEST_TICKET_ID" "Delete test ticket"
+test_endpoint "POST" "/api/tickets/$TEST_TICKET_ID/restore" "Restore test ticket" '{"actor":"Test Script"}'
+test_endpoint "DELETE" "/api/tickets/$TEST_TICKET_ID?actor=Test%20Script" "Delete test ticket again"
+echo ""
+
+# Tags
+echo "=== TAG ENDPOINTS ==="
+test_endpoint "GET" "/api/tags" "List tags with counts"
+test_endpoint "POST" "/api/tickets/1/tags" "Tag ticket" '{"tags":["test-script"],"actor":"Test Script"}'
+test_endpoint "GET" "/api/tickets?tags=postgres,networking" "Filter by any tag"
+test_endpoint "GET" "/api/tickets?tags=postgres,networking&tags_match=all" "Filter by all tags"
+test_endpoint "DELETE" "/api/tickets/1/tags/test-script" "Remove ticket tag"
+echo ""
+
+# Customers
+echo "=== CUSTOMER ENDPOINTS ==="
+test_endpoint "GET" "/api/customers" "List customers"
+test_endpoint "GET" "/api/customers/1001" "Get customer by ID"
+test_endpoint "POST" "/api/customers" "Create customer" '{"name":"Test Script Inc","plan":"trial"}'
+test_endpoint "GET" "/api/customers/1001/tickets" "Get customer tickets"
+echo ""
+
+# Agents
+echo "=== AGENT ENDPOINTS ==="
+test_endpoint "GET" "/api/agents" "List agents with workload"
+test_endpoint "GET" "/api/agents?available=true" "Filter available agents"
+test_endpoint "POST" "/api/tickets" "Create auto-assigned ticket" '{"title":"Auto-assigned ticket from script","severity":"medium","auto_assign":"least_loaded"}'
 echo ""
 
 # Status/External API
@@ -101,6 +165,7 @@ echo ""
 echo "=== DEBUG ENDPOINTS ==="
 test_endpoint "GET" "/debug/env" "Environment variables"
 test_endpoint "GET" "/debug/db-test" "Database connection test"
+test_endpoint "GET" "/debug/queries" "Query statistics"
 echo ""
 
 echo "======================================================"
@@ -0,0 +1,87 @@
+// Agent lookup, workload and auto-assignment
+// Tickets reference agents by name (support_tickets.assigned_to -> agents.name)
+
+// How much an open ticket counts toward an agent's load
+const SEVERITY_WEIGHTS = { low: 1, medium: 2, high: 3, critical: 5 };
+
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_loaded'];
+
+const weightSql = `CASE t.severity ${Object.entries(SEVERITY_WEIGHTS)
+  .map(([severity, weight]) => `WHEN '${severity}' THEN ${weight}`)
+  .join(' ')} ELSE 1 END`;
+
+// Per-agent open ticket count and severity-weighted load
+const WORKLOAD_QUERY = `
+  SELECT
+    a.*,
+    COUNT(t.id) as open_tickets,
+    COALESCE(SUM(${weightSql}), 0) as weighted_load
+  FROM agents a
+  LEFT JOIN support_tickets t ON t.assigned_to = a.name AND t.status <> 'resolved' AND t.deleted_at IS NULL
+`;
+
+// Find an agent by name, ignoring case and surrounding whitespace
+// db can be the db module or a client inside a transaction
+async function findAgentByName(db, name) {
+  const result = await db.query(
+    'SELECT * FROM agents WHERE LOWER(name) = LOWER(TRIM($1))',
+    [name]
+  );
+  return result.rows[0] || null;
+}
+
+// Workload rows for all agents (or one), with counts parsed to numbers
+async function getWorkload(db, agentId) {
+  const params = [];
+  let query = WORKLOAD_QUERY;
+
+  if (agentId !== undefined) {
+    query += ' WHERE a.id = $1';
+    params.push(agentId);
+  }
+
+  query += ' GROUP BY a.id ORDER BY a.name';
+
+  const result = await db.query(query, params);
+  return result.rows.map((row) => ({
+    ...row,
+    open_tickets: parseInt(row.open_tickets),
+    weighted_load: parseInt(row.weighted_load),
+  }));
+}
+
+// Pick an available agent and mark them as just assigned
+// round_robin: whoever was auto-assigned least recently
+// least_loaded: lowest severity-weighted open load, ties broken round-robin
+// Returns the agent's name, or null when nobody is available
+async function pickAgent(db, strategy) {
+  const order = strategy === 'least_loaded'
+    ? `(SELECT COALESCE(SUM(${weightSql}), 0)
+        FROM support_tickets t
+        WHERE t.assigned_to = a.name AND t.status <> 'resolved' AND t.deleted_at IS NULL) ASC,
+       a.last_assigned_at ASC NULLS FIRST, a.id ASC`
+    : 'a.last_assigned_at ASC NULLS FIRST, a.id ASC';
+
+  // SKIP LOCKED keeps two concurrent requests from picking the same agent row
+  const result = await db.query(`
+    UPDATE agents SET last_assigned_at = NOW()
+    WHERE id = (
+      SELECT a.id FROM agents a
+      WHERE a.available
+      ORDER BY ${order}
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING name
+  `);
+
+  return result.rows.length > 0 ? result.rows[0].name : null;
+}
+
+module.exports = {
+  SEVERITY_WEIGHTS,
+  ASSIGNMENT_STRATEGIES,
+  findAgentByName,
+  getWorkload,
+  pickAgent,
+};
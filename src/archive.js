@@ -0,0 +1,140 @@
+// Ticket archive
+// Tickets resolved long ago move out of support_tickets into ticket_archive so the hot table
+// stays small. Each archived ticket is one JSONB snapshot of the row plus its comments, history,
+// tags and attachment records, so later schema changes never break old archive rows and restores are lossless
+const { addTicketTags } = require('./tags');
+
+// Rows moved per statement, so one run never holds locks on the whole backlog
+const ARCHIVE_BATCH_SIZE = 500;
+
+// Archived tickets as support_tickets rows, for queries that read both tables
+// archived_at and archived_tags are NULL for live tickets
+const ARCHIVE_SOURCE = `(
+  SELECT *, NULL::timestamp AS archived_at, NULL::varchar[] AS archived_tags FROM support_tickets
+  UNION ALL
+  SELECT (jsonb_populate_record(NULL::support_tickets, a.ticket)).*, a.archived_at, a.tags::varchar[]
+  FROM ticket_archive a
+) AS support_tickets`;
+
+// Tickets the archive job may move ($1 = days since resolution)
+// Merge primaries stay: deleting one would null out (ON DELETE SET NULL) the merged_into of every
+// duplicate pointing at it, and an archived duplicate couldn't be restored without its primary
+const ARCHIVABLE = `
+  status = 'resolved' AND deleted_at IS NULL
+  AND resolved_at < NOW() - $1 * INTERVAL '1 day'
+  AND NOT EXISTS (SELECT 1 FROM support_tickets m WHERE m.merged_into = support_tickets.id)
+  AND NOT EXISTS (SELECT 1 FROM ticket_archive a WHERE (a.ticket->>'merged_into')::int = support_tickets.id)`;
+
+// Move resolved tickets older than the cutoff into the archive
+// Soft-deleted tickets and merge primaries are left alone. Returns the archived ids
+// (or, on a dry run, the ids that would be)
+async function archiveResolvedTickets(db, { olderThanDays, dryRun = false }) {
+  if (dryRun) {
+    const result = await db.query(
+      `SELECT id FROM support_tickets
+       WHERE ${ARCHIVABLE}
+       ORDER BY id`,
+      [olderThanDays]
+    );
+    return result.rows.map((row) => row.id);
+  }
+
+  const archived = [];
+
+  for (;;) {
+    // Snapshot and delete in one statement; deleting cascades to the live comments, events, tags
+    // and attachment rows (attachment objects stay in the bucket)
+    const result = await db.query(
+      `WITH candidates AS (
+         SELECT id FROM support_tickets
+         WHERE ${ARCHIVABLE}
+         ORDER BY id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       ),
+       snapshots AS (
+         INSERT INTO ticket_archive (id, ticket, tags, comments, events, attachments, resolved_at)
+         SELECT
+           t.id,
+           to_jsonb(t),
+           ARRAY(
+             SELECT tg.name FROM ticket_tags tt
+             JOIN tags tg ON tg.id = tt.tag_id
+             WHERE tt.ticket_id = t.id
+             ORDER BY tg.name
+           ),
+           COALESCE((SELECT jsonb_agg(to_jsonb(c) ORDER BY c.id) FROM ticket_comments c WHERE c.ticket_id = t.id), '[]'),
+           COALESCE((SELECT jsonb_agg(to_jsonb(e) ORDER BY e.id) FROM ticket_events e WHERE e.ticket_id = t.id), '[]'),
+           COALESCE((SELECT jsonb_agg(to_jsonb(f) ORDER BY f.id) FROM ticket_attachments f WHERE f.ticket_id = t.id), '[]'),
+           t.resolved_at
+         FROM support_tickets t
+         JOIN candidates USING (id)
+         RETURNING id
+       )
+       DELETE FROM support_tickets WHERE id IN (SELECT id FROM snapshots)
+       RETURNING id`,
+      [olderThanDays, ARCHIVE_BATCH_SIZE]
+    );
+
+    archived.push(...result.rows.map((row) => row.id));
+    if (result.rows.length < ARCHIVE_BATCH_SIZE) break;
+  }
+
+  return archived.sort((a, b) => a - b);
+}
+
+// Put an archived ticket back into support_tickets with its comments, history, tags and attachments
+// Must run inside the caller's transaction. Returns false when the ticket isn't archived
+async function restoreArchivedTicket(client, id) {
+  const archived = await client.query(
+    'SELECT * FROM ticket_archive WHERE id = $1 FOR UPDATE',
+    [id]
+  );
+
+  if (archived.rows.length === 0) return false;
+  const { ticket, tags, comments, events, attachments } = archived.rows[0];
+
+  // Generated columns (the search vector) can't be inserted, they're recomputed instead
+  const columns = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'support_tickets' AND is_generated = 'NEVER'
+     ORDER BY ordinal_position`
+  );
+  const columnList = columns.rows.map((row) => row.column_name).join(', ');
+
+  await client.query(
+    `INSERT INTO support_tickets (${columnList})
+     SELECT ${columnList} FROM jsonb_populate_record(NULL::support_tickets, $1)`,
+    [ticket]
+  );
+
+  // Old comments aren't news - keep them out of the live event stream (reset at commit)
+  await client.query("SELECT set_config('ticket_stream.skip_comments', 'on', true)");
+
+  await client.query(
+    'INSERT INTO ticket_comments SELECT * FROM jsonb_populate_recordset(NULL::ticket_comments, $1)',
+    [JSON.stringify(comments)]
+  );
+
+  await client.query(
+    'INSERT INTO ticket_events SELECT * FROM jsonb_populate_recordset(NULL::ticket_events, $1)',
+    [JSON.stringify(events)]
+  );
+
+  await client.query(
+    'INSERT INTO ticket_attachments SELECT * FROM jsonb_populate_recordset(NULL::ticket_attachments, $1)',
+    [JSON.stringify(attachments || [])]
+  );
+
+  // Tags deleted since archiving are recreated
+  await addTicketTags(client, id, tags);
+
+  await client.query('DELETE FROM ticket_archive WHERE id = $1', [id]);
+  return true;
+}
+
+module.exports = {
+  ARCHIVE_SOURCE,
+  archiveResolvedTickets,
+  restoreArchivedTicket,
+};
@@ -13,6 +13,50 @@ if (missing.length) {
   process.exit(1);
 }
 
+// Settings that don't parse are collected and reported together, like missing ones
+const invalid = [];
+
+// Whole-number setting within [min, max]; a typo like DB_POOL_MAX=2O stops the app instead of
+// silently becoming NaN
+function intSetting(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!/^\d+$/.test(raw.trim()) || value < min || value > max) {
+    invalid.push(`${name} must be a whole number from ${min} to ${max} (got "${raw}")`);
+    return fallback;
+  }
+  return value;
+}
+
+function enumSetting(name, fallback, allowed) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  if (!allowed.includes(raw)) {
+    invalid.push(`${name} must be one of: ${allowed.join(', ')} (got "${raw}")`);
+    return fallback;
+  }
+  return raw;
+}
+
+// Comma-separated list whose entries must all be known
+function listSetting(name, fallback, allowed) {
+  const raw = process.env[name];
+  if (raw === undefined) return fallback;
+
+  const values = raw.split(',').map((value) => value.trim()).filter(Boolean);
+  const unknown = values.filter((value) => !allowed.includes(value));
+  if (unknown.length) {
+    invalid.push(`${name} has unknown entries: ${unknown.join(', ')} (expected any of: ${allowed.join(', ')})`);
+    return fallback;
+  }
+  return values;
+}
+
+const nodeEnv = process.env.NODE_ENV || 'development';
+
 const config = {
   // Railway automatically sets PORT - must use this or you'll get 502 errors
   port: process.env.PORT || 3000,
@@ -20,16 +64,63 @@ const config = {
   // PostgreSQL connection string
   databaseUrl: process.env.DATABASE_URL,
 
+  // Optional read replica for read-heavy routes (ticket listing, stats, metrics)
+  databaseReplicaUrl: process.env.DATABASE_REPLICA_URL || null,
+
   // External API configuration
   externalApiUrl: process.env.EXTERNAL_API_URL || 'https://httpbin.org',
   apiTimeout: parseInt(process.env.API_TIMEOUT || '5000'),
 
   // Environment
-  nodeEnv: process.env.NODE_ENV || 'development',
+  nodeEnv,
+
+  // Connection pool tuning
+  db: {
+    // Keep (max x replicas) under the database's max_connections, or new connections fail with
+    // "remaining connection slots are reserved"
+    poolMax: intSetting('DB_POOL_MAX', 20, { min: 1, max: 1000 }),
+    // Idle clients are closed after this long (0 keeps them forever)
+    idleTimeoutMs: intSetting('DB_IDLE_TIMEOUT_MS', 30000),
+    // Fail fast if a connection can't be made (or a pooled one freed up) in time
+    connectTimeoutMs: intSetting('DB_CONNECT_TIMEOUT_MS', 10000),
+    // Server-side cap on any single statement (0 = no limit)
+    statementTimeoutMs: intSetting('DB_STATEMENT_TIMEOUT_MS', 0),
+    // Shows up in pg_stat_activity, so our connections can be told apart from everyone else's
+    applicationName: process.env.DB_APPLICATION_NAME || 'railway-support-lab',
+    // disable, no-verify (TLS without certificate checks - Railway's proxy) or verify
+    ssl: enumSetting('DB_SSL', nodeEnv === 'production' ? 'no-verify' : 'disable', ['disable', 'no-verify', 'verify']),
+    // Reads go back to the primary while the replica is further behind than this
+    replicaMaxLagMs: intSetting('REPLICA_MAX_LAG_MS', 5000),
+    // How often the replica's health and lag are checked
+    replicaCheckIntervalMs: intSetting('REPLICA_CHECK_INTERVAL_MS', 5000, { min: 100 }),
+  },
+
+  // Resolved tickets older than this are moved to the archive (npm run archive)
+  archiveAfterDays: intSetting('ARCHIVE_AFTER_DAYS', 90),
+
+  // Schema migrations: by default the server refuses to boot while any are pending or dirty
+  // (run `npm run migrate` first). MIGRATE_ON_START applies pending ones at boot instead;
+  // ALLOW_PENDING_MIGRATIONS boots anyway and only logs a warning
+  migrateOnStart: process.env.MIGRATE_ON_START === 'true',
+  allowPendingMigrations: process.env.ALLOW_PENDING_MIGRATIONS === 'true',
+
+  // Queries slower than this are logged (with parameters redacted); 0 logs every query
+  slowQueryMs: intSetting('SLOW_QUERY_MS', 1000),
 
   // Feature flags for debugging
   enableDebugEndpoints: process.env.ENABLE_DEBUG_ENDPOINTS !== 'false',
 
+  // Background dependency checks behind /health/ready and /health/full
+  health: {
+    intervalMs: intSetting('HEALTH_CHECK_INTERVAL_MS', 10000, { min: 1000 }),
+    timeoutMs: intSetting('HEALTH_CHECK_TIMEOUT_MS', 3000, { min: 100 }),
+    // Checks that take the app out of rotation when they fail; the others are only reported
+    critical: listSetting('HEALTH_CRITICAL_CHECKS', ['database'], ['database', 'replica', 'externalApi', 'storage']),
+    // After SIGTERM, keep serving (with readiness failing) this long before closing, so the load
+    // balancer has time to notice and stop routing new requests here
+    shutdownDelayMs: intSetting('SHUTDOWN_DELAY_MS', 0, { max: 60000 }),
+  },
+
   // S3 Storage Configuration
   s3: {
     endpoint: process.env.AWS_ENDPOINT_URL || 'https://storage.railway.app',
@@ -38,14 +129,28 @@ const config = {
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     bucketName: process.env.AWS_S3_BUCKET_NAME,
   },
+
+  // Largest ticket attachment accepted, in megabytes
+  maxAttachmentMb: intSetting('MAX_ATTACHMENT_MB', 25, { min: 1 }),
 };
 
+if (invalid.length) {
+  invalid.forEach((message) => console.error(`[ERROR] Invalid environment variable: ${message}`));
+  process.exit(1);
+}
+
 // Log configuration on startup (excluding sensitive data)
 console.log('[CONFIG] Application configuration loaded:');
 console.log(`[CONFIG] Port: ${config.port}`);
 console.log(`[CONFIG] Environment: ${config.nodeEnv}`);
 console.log(`[CONFIG] Database: ${config.databaseUrl ? '✓ Configured' : '✗ Missing'}`);
+console.log(`[CONFIG] Read replica: ${config.databaseReplicaUrl ? `✓ Configured (max lag ${config.db.replicaMaxLagMs}ms)` : 'not configured'}`);
+console.log(
+  `[CONFIG] Database pool: max ${config.db.poolMax}, SSL ${config.db.ssl}, statement timeout ${config.db.statementTimeoutMs ? `${config.db.statementTimeoutMs}ms` : 'off'}`
+);
 console.log(`[CONFIG] External API: ${config.externalApiUrl}`);
+console.log(`[CONFIG] Migrations: ${config.migrateOnStart ? 'Applied on start' : config.allowPendingMigrations ? 'Pending allowed' : 'Must be up to date'}`);
+console.log(`[CONFIG] Critical health checks: ${config.health.critical.join(', ') || 'none'}`);
 console.log(`[CONFIG] Debug endpoints: ${config.enableDebugEndpoints ? 'Enabled' : 'Disabled'}`);
 console.log(`[CONFIG] S3 Storage: ${config.s3.bucketName && config.s3.accessKeyId ? '✓ Configured' : '✗ Not configured (optional)'}`);
 
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reading and writing
+// Used by ticket export/import; parsing works on a stream so large files never sit in memory
+const { StringDecoder } = require('string_decoder');
+
+// Quote a value only when it contains a delimiter, quote or line break
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (with CRLF terminator) from an array of values
+function toCsvRow(values) {
+  return values.map(formatCsvValue).join(',') + '\r\n';
+}
+
+// Parse a readable stream of CSV text, yielding each record as an array of strings
+// Quoted fields may contain commas, doubled quotes and line breaks
+async function* parseCsv(stream) {
+  const decoder = new StringDecoder('utf8');
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field; next char decides if it was escaped
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    for (const char of text) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        record.push(field);
+        yield record;
+        record = [];
+        field = '';
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  // Last record without a trailing newline
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+module.exports = {
+  toCsvRow,
+  parseCsv,
+};
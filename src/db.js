@@ -1,64 +1,259 @@
-// PostgreSQL database connection and initialization
+// PostgreSQL connection pools (primary and optional read replica), query helper and transactions
+const { performance } = require('perf_hooks');
 const { Pool } = require('pg');
 const config = require('./config');
+const queryStats = require('./queryStats');
 
-// Create connection pool
-const pool = new Pool({
+// DB_SSL=no-verify is what Railway's TCP proxy needs: encrypted, but with a certificate we can't check
+const SSL_MODES = {
+  disable: false,
+  'no-verify': { rejectUnauthorized: false },
+  verify: { rejectUnauthorized: true },
+};
+
+// Connection settings shared by the pools and the stream's LISTEN client
+const connectionOptions = {
   connectionString: config.databaseUrl,
-  // Railway PostgreSQL settings
-  ssl: config.nodeEnv === 'production' ? { rejectUnauthorized: false } : false,
-  max: 20, // Maximum number of clients in the pool
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Fail fast if can't connect
-});
-
-// Log connection events
-pool.on('connect', () => {
-  console.log('[DATABASE] New client connected to PostgreSQL');
-});
-
-pool.on('error', (err) => {
-  console.error('[DATABASE] Unexpected error on idle client:', err.message);
-});
-
-// Initialize database schema
-async function initializeDatabase() {
-  const client = await pool.connect();
+  ssl: SSL_MODES[config.db.ssl],
+  application_name: config.db.applicationName,
+  connectionTimeoutMillis: config.db.connectTimeoutMs,
+};
+
+// ===== POOL STATS =====
+
+// Per-pool counters, read by poolStats()
+const poolCounters = new Map();
+
+function recordConnectionError(target, counter, err) {
+  const counters = poolCounters.get(target);
+  counters[counter]++;
+  counters.last_error = err.code || err.message;
+  counters.last_error_at = new Date().toISOString();
+}
+
+// Create a pool (sizes and timeouts come from DB_* settings, see config.js) that times how long
+// callers wait for a client. pool.query goes through connect() too, so this covers every statement;
+// a long wait means the pool is exhausted or the server is refusing connections
+function createPool(role, connectionString) {
+  const target = new Pool({
+    ...connectionOptions,
+    connectionString,
+    max: config.db.poolMax,
+    idleTimeoutMillis: config.db.idleTimeoutMs,
+    statement_timeout: config.db.statementTimeoutMs || undefined,
+  });
+
+  const counters = {
+    acquired: 0,
+    acquire_wait_total_ms: 0,
+    acquire_wait_max_ms: 0,
+    acquire_errors: 0,
+    idle_client_errors: 0,
+    checked_out_client_errors: 0,
+    last_error: null,
+    last_error_at: null,
+  };
+  poolCounters.set(target, counters);
+
+  const connect = target.connect.bind(target);
+
+  target.connect = function timedConnect(callback) {
+    const start = performance.now();
+    const done = (err) => {
+      const waited = performance.now() - start;
+      if (err) {
+        recordConnectionError(target, 'acquire_errors', err);
+        return;
+      }
+      counters.acquired++;
+      counters.acquire_wait_total_ms += waited;
+      counters.acquire_wait_max_ms = Math.max(counters.acquire_wait_max_ms, waited);
+    };
+
+    if (typeof callback === 'function') {
+      return connect((err, client, release) => {
+        done(err);
+        callback(err, client, release);
+      });
+    }
+
+    return connect().then(
+      (client) => {
+        done(null);
+        return client;
+      },
+      (err) => {
+        done(err);
+        throw err;
+      }
+    );
+  };
+
+  // Log connection events; every pooled client is instrumented so /debug/queries sees all statements
+  target.on('connect', (client) => {
+    queryStats.instrumentClient(client);
+    console.log(`[DATABASE] New client connected to PostgreSQL (${role})`);
+  });
+
+  target.on('error', (err) => {
+    recordConnectionError(target, 'idle_client_errors', err);
+    console.error(`[DATABASE] Unexpected error on idle ${role} client:`, err.message);
+  });
+
+  return target;
+}
+
+const pool = createPool('primary', config.databaseUrl);
+
+// Only created when DATABASE_REPLICA_URL is set; it connects on first use
+const replicaPool = config.databaseReplicaUrl ? createPool('replica', config.databaseReplicaUrl) : null;
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+// Live view of a pool (the primary unless told otherwise): clients open/idle/checked out,
+// callers queued for one, and how long they waited
+function poolStats(target = pool) {
+  const counters = poolCounters.get(target);
+  return {
+    max: target.options.max,
+    total: target.totalCount,
+    idle: target.idleCount,
+    in_use: target.totalCount - target.idleCount,
+    waiting: target.waitingCount,
+    acquired: counters.acquired,
+    acquire_wait_total_ms: round(counters.acquire_wait_total_ms),
+    acquire_wait_mean_ms: counters.acquired ? round(counters.acquire_wait_total_ms / counters.acquired) : 0,
+    acquire_wait_max_ms: round(counters.acquire_wait_max_ms),
+    errors: {
+      acquire: counters.acquire_errors,
+      idle_client: counters.idle_client_errors,
+      checked_out_client: counters.checked_out_client_errors,
+      last: counters.last_error,
+      last_at: counters.last_error_at,
+    },
+  };
+}
+
+// Connection slots on the primary as a whole - other services and psql sessions count against
+// max_connections too, and the last superuser_reserved_connections are off limits to us
+async function serverConnections() {
+  const result = await pool.query(
+    `SELECT
+       current_setting('max_connections')::int AS max_connections,
+       current_setting('superuser_reserved_connections')::int AS reserved,
+       COUNT(*)::int AS in_use,
+       COUNT(*) FILTER (WHERE application_name = $1)::int AS ours
+     FROM pg_stat_activity
+     WHERE backend_type = 'client backend'`,
+    [config.db.applicationName]
+  );
+  const row = result.rows[0];
+  return {
+    ...row,
+    available: row.max_connections - row.reserved - row.in_use,
+  };
+}
+
+// Pool stats plus the server's connection slots (null when the server can't be asked)
+async function connectionStats() {
+  let server = null;
   try {
-    console.log('[DATABASE] Initializing schema...');
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS support_tickets (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        severity VARCHAR(20) DEFAULT 'low',
-        status VARCHAR(20) DEFAULT 'open',
-        customer_id INTEGER,
-        assigned_to VARCHAR(100),
-        resolution_time INTEGER,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
+    server = await serverConnections();
+  } catch (err) {
+    console.error('[DATABASE] Connection count check failed:', err.message);
+  }
+  return { pool: poolStats(), server };
+}
 
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_status ON support_tickets(status);
-    `);
+// ===== READ REPLICA =====
+
+// Latest result of the background check; reads stay on the primary until the first one passes
+const replica = {
+  reachable: null,
+  in_recovery: null,
+  lag_ms: null,
+  latency_ms: null,
+  checked_at: null,
+  last_error: null,
+  usable: false,
+};
+
+let replicaTimer = null;
 
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_severity ON support_tickets(severity);
+function setReplicaUsable(usable, why) {
+  if (usable !== replica.usable) {
+    if (usable) console.log('[DATABASE] Read replica is available, routing reads to it');
+    else console.warn(`[DATABASE] Read replica unavailable (${why}), reading from the primary`);
+  }
+  replica.usable = usable;
+}
+
+// Replay lag in ms; 0 when the replica has replayed everything it received (an idle primary
+// would otherwise look further behind every second), and 0 for a server that isn't a standby
+async function checkReplica() {
+  const start = performance.now();
+  try {
+    const result = await replicaPool.query(`
+      SELECT
+        pg_is_in_recovery() AS in_recovery,
+        CASE
+          WHEN NOT pg_is_in_recovery() OR pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0
+          ELSE (EXTRACT(EPOCH FROM NOW() - pg_last_xact_replay_timestamp()) * 1000)::float
+        END AS lag_ms
     `);
+    const { in_recovery, lag_ms } = result.rows[0];
 
-    console.log('[DATABASE] Schema initialized successfully');
+    Object.assign(replica, { reachable: true, in_recovery, lag_ms, last_error: null });
+    if (lag_ms === null) {
+      setReplicaUsable(false, 'replication lag unknown');
+    } else if (lag_ms > config.db.replicaMaxLagMs) {
+      setReplicaUsable(false, `lagging ${Math.round(lag_ms)}ms behind`);
+    } else {
+      setReplicaUsable(true);
+    }
   } catch (err) {
-    console.error('[DATABASE] Schema initialization failed:', err.message);
-    throw err;
+    Object.assign(replica, { reachable: false, lag_ms: null, last_error: err.code || err.message });
+    setReplicaUsable(false, err.message);
   } finally {
-    client.release();
+    replica.latency_ms = round(performance.now() - start);
+    replica.checked_at = new Date().toISOString();
   }
 }
 
+// Check the replica every REPLICA_CHECK_INTERVAL_MS (only the server does this; scripts always use the primary)
+function startReplicaMonitor() {
+  if (!replicaPool || replicaTimer) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    await checkReplica();
+    running = false;
+  };
+
+  tick();
+  replicaTimer = setInterval(tick, config.db.replicaCheckIntervalMs);
+  replicaTimer.unref();
+}
+
+function replicaStatus() {
+  if (!replicaPool) return { configured: false };
+
+  return {
+    configured: true,
+    serving_reads: replica.usable,
+    reachable: replica.reachable,
+    in_recovery: replica.in_recovery,
+    lag_ms: replica.lag_ms === null ? null : round(replica.lag_ms),
+    max_lag_ms: config.db.replicaMaxLagMs,
+    latency_ms: replica.latency_ms,
+    checked_at: replica.checked_at,
+    last_error: replica.last_error,
+    pool: poolStats(replicaPool),
+  };
+}
+
 // Test database connection
 async function testConnection() {
   try {
@@ -71,24 +266,199 @@ async function testConnection() {
   }
 }
 
+const INTENTS = ['read', 'write'];
+
 // Query helper with logging
-async function query(text, params = []) {
+// Queries go to the primary unless they declare { intent: 'read' }, which sends them to the read
+// replica while it is healthy and caught up. Only use it where data a few seconds old is fine -
+// not to read back something this request just wrote.
+async function query(text, params = [], { intent = 'write' } = {}) {
+  if (!INTENTS.includes(intent)) {
+    throw new Error(`Unknown query intent: ${intent}`);
+  }
+
+  const target = intent === 'read' && replica.usable ? replicaPool : pool;
   const start = Date.now();
   try {
-    const result = await pool.query(text, params);
+    const result = await target.query(text, params);
     const duration = Date.now() - start;
-    console.log(`[DATABASE] Query executed in ${duration}ms`);
+    console.log(
+      `[DATABASE] Query executed in ${duration}ms (${queryStats.fingerprint(text).id}${target === replicaPool ? ', replica' : ''})`
+    );
     return result;
   } catch (err) {
-    console.error('[DATABASE] Query failed:', err.message);
+    // Replica gone, or the query was cancelled by replay (40001): answer from the primary instead
+    if (target === replicaPool && (isRetryable(err) || /timeout exceeded when trying to connect/i.test(err.message))) {
+      console.warn(`[DATABASE] Replica query ${queryStats.fingerprint(text).id} failed (${err.message}), retrying on the primary`);
+      if (err.code !== '40001') {
+        replica.last_error = err.code || err.message;
+        setReplicaUsable(false, err.message);
+      }
+      return query(text, params);
+    }
+
+    console.error(`[DATABASE] Query ${queryStats.fingerprint(text).id} failed:`, err.message);
     console.error('[DATABASE] Query text:', text);
     throw err;
   }
 }
 
+// Stop the replica monitor and close both pools
+async function close() {
+  if (replicaTimer) {
+    clearInterval(replicaTimer);
+    replicaTimer = null;
+  }
+  await Promise.all([pool.end(), replicaPool && replicaPool.end()]);
+}
+
+// ===== TRANSACTIONS =====
+
+// Errors worth running the whole transaction again for:
+// 40001 serialization_failure, 40P01 deadlock_detected, 57P01 admin_shutdown (Railway maintenance restarts),
+// 57P02 crash_shutdown, 57P03 cannot_connect_now (still starting up), 08xxx connection exceptions
+const RETRYABLE_CODES = new Set(['40001', '40P01', '57P01', '57P02', '57P03', '08000', '08003', '08006', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE']);
+
+// Errors after which the connection itself is unusable and must not go back to the pool
+const CONNECTION_CODES = new Set(['57P01', '57P02', '08000', '08003', '08006', 'ECONNRESET', 'EPIPE']);
+
+const ISOLATION_LEVELS = ['read committed', 'repeatable read', 'serializable'];
+
+const DEFAULT_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 100;
+
+const transactionStats = { committed: 0, rolled_back: 0, retried: 0, failed: 0 };
+
+function isConnectionError(err) {
+  // pg reports a socket closed by the server without a code
+  return CONNECTION_CODES.has(err.code) || /Connection terminated/i.test(err.message);
+}
+
+function isRetryable(err) {
+  return RETRYABLE_CODES.has(err.code) || isConnectionError(err);
+}
+
+// Returned from a transaction function to roll back instead of committing (rejections, dry runs):
+//   return db.rollback({ status: 409, ... });
+class Rollback {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+function rollback(value) {
+  return new Rollback(value);
+}
+
+// Run fn(client) in a transaction: COMMIT when it resolves, ROLLBACK when it throws (or returns db.rollback()).
+// Serialization failures, deadlocks and dropped connections run fn again on a fresh connection with
+// exponential backoff, so fn must not have side effects outside the database that can't be repeated.
+// Options:
+//   isolationLevel  'read committed' (default), 'repeatable read' or 'serializable'
+//   readOnly        start a READ ONLY transaction
+//   retries         extra attempts on transient errors (default 4, about 1.5s of backoff; 0 for work that can't be
+//                   repeated, like reading a streamed request body)
+//   name            label for the retry log
+async function transaction(fn, { isolationLevel, readOnly = false, retries = DEFAULT_RETRIES, name = 'transaction' } = {}) {
+  if (isolationLevel && !ISOLATION_LEVELS.includes(isolationLevel)) {
+    throw new Error(`Unknown isolation level: ${isolationLevel}`);
+  }
+
+  const begin = [
+    'BEGIN',
+    isolationLevel && `ISOLATION LEVEL ${isolationLevel.toUpperCase()}`,
+    readOnly && 'READ ONLY',
+  ].filter(Boolean).join(' ');
+
+  for (let attempt = 0; ; attempt++) {
+    let client = null;
+    let broken = false;
+    let reason;
+
+    // The pool only listens for errors on idle clients; without this a server-side disconnect
+    // mid-transaction would be an unhandled 'error' event and crash the process
+    const onClientError = (err) => {
+      broken = true;
+      recordConnectionError(pool, 'checked_out_client_errors', err);
+      console.warn(`[DATABASE] Connection lost during ${name}:`, err.message);
+    };
+
+    try {
+      client = await pool.connect();
+      client.on('error', onClientError);
+      await client.query(begin);
+
+      const result = await fn(client);
+
+      if (result instanceof Rollback) {
+        await client.query('ROLLBACK');
+        transactionStats.rolled_back++;
+        return result.value;
+      }
+
+      await client.query('COMMIT');
+      transactionStats.committed++;
+      return result;
+    } catch (err) {
+      broken = broken || isConnectionError(err);
+      if (client && !broken) {
+        await client.query('ROLLBACK').catch(() => {
+          broken = true;
+        });
+      }
+
+      // Once the connection has dropped, whatever fn was doing failed because of it
+      if (attempt >= retries || !(broken || isRetryable(err))) {
+        transactionStats.failed++;
+        throw err;
+      }
+      reason = err.code || (broken ? 'connection lost' : err.message);
+    } finally {
+      // A broken connection is destroyed rather than handed to the next caller
+      if (client) {
+        client.removeListener('error', onClientError);
+        client.release(broken || undefined);
+      }
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+    transactionStats.retried++;
+    console.warn(`[DATABASE] ${name} failed (${reason}), retrying in ${delay}ms (attempt ${attempt + 2}/${retries + 1})`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+// Run fn inside a savepoint of the current transaction: a failure rolls back only fn's work
+// and is rethrown, leaving the surrounding transaction usable
+let savepointCounter = 0;
+
+async function savepoint(client, fn) {
+  const name = `sp_${++savepointCounter}`;
+  await client.query(`SAVEPOINT ${name}`);
+  try {
+    const result = await fn(client);
+    await client.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (err) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw err;
+  }
+}
+
 module.exports = {
   pool,
+  replicaPool,
+  connectionOptions,
+  poolStats,
+  serverConnections,
+  connectionStats,
+  startReplicaMonitor,
+  replicaStatus,
   query,
-  initializeDatabase,
   testConnection,
+  close,
+  transaction,
+  savepoint,
+  rollback,
+  transactionStats: () => ({ ...transactionStats }),
 };
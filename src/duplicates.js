@@ -0,0 +1,60 @@
+// Duplicate ticket detection
+// Customers often file the same problem more than once; trigram similarity
+// (pg_trgm) on title and description finds their earlier, still-open tickets
+
+// Minimum combined similarity (0-1) for a ticket to be suggested as a duplicate
+const DUPLICATE_THRESHOLD = 0.3;
+const MAX_DUPLICATES = 5;
+
+// Title similarity counts for more than description similarity
+const TITLE_WEIGHT = 0.7;
+
+// 42883 = undefined_function: pg_trgm isn't installed
+function isMissingTrigram(err) {
+  return err.code === '42883';
+}
+
+// Find unresolved tickets from the same customer that look like the given one
+// Returns [{ id, title, status, severity, assigned_to, created_at, similarity }], best match first
+async function findDuplicates(db, { id, title, description, customer_id }) {
+  if (!customer_id || !title) return [];
+
+  const params = [customer_id, id || 0, DUPLICATE_THRESHOLD, MAX_DUPLICATES, title];
+
+  // Without a description to compare, rank on the title alone
+  let score = 'similarity(title, $5)';
+  if (description) {
+    params.push(description);
+    score = `(${TITLE_WEIGHT} * similarity(title, $5)
+      + ${1 - TITLE_WEIGHT} * similarity(COALESCE(description, ''), $6))`;
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT id, title, status, severity, assigned_to, created_at,
+              ROUND(${score}::numeric, 2)::float AS similarity
+       FROM support_tickets
+       WHERE customer_id = $1
+         AND id <> $2
+         AND status <> 'resolved'
+         AND merged_into IS NULL
+         AND deleted_at IS NULL
+         AND ${score} >= $3
+       ORDER BY similarity DESC, id DESC
+       LIMIT $4`,
+      params
+    );
+    return result.rows;
+  } catch (err) {
+    if (isMissingTrigram(err)) {
+      console.warn('[DUPLICATES] pg_trgm is not installed, skipping duplicate check');
+      return [];
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  findDuplicates,
+};
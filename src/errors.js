@@ -0,0 +1,27 @@
+// Error responses
+// Every error uses the same envelope, so clients can branch on a stable machine code:
+//   {"error":{"code":"validation_failed","message":"Request validation failed",
+//             "details":[{"field":"severity","code":"invalid_value","message":"..."}]}}
+// details lists per-field problems (empty when the error isn't about a field)
+
+// Build the envelope; extra keys (e.g. current_version) are added next to code and message
+function errorBody(code, message, { details = [], ...extra } = {}) {
+  return { error: { code, message, details, ...extra } };
+}
+
+function sendError(res, status, code, message, options) {
+  return res.status(status).json(errorBody(code, message, options));
+}
+
+// 400 for a single bad field that only the handler can check (e.g. an unknown agent)
+function sendFieldError(res, field, message, code = 'invalid_value') {
+  return sendError(res, 400, 'validation_failed', message, {
+    details: [{ field, code, message }],
+  });
+}
+
+module.exports = {
+  errorBody,
+  sendError,
+  sendFieldError,
+};
@@ -0,0 +1,163 @@
+// Ticket filters shared by listing, bulk operations and export
+// Builds parameterized WHERE conditions from query-string style filters
+const workflow = require('./workflow');
+const { normalizeTagNames } = require('./tags');
+
+const TAG_MATCHES = ['any', 'all'];
+
+// Turn a search string into a tsquery SQL expression
+// "quoted words" match as a phrase, word* matches as a prefix, everything else must all match
+function buildSearchQuery(q, params) {
+  const parts = [];
+  const phrasePattern = /"([^"]*)"/g;
+
+  for (const [, phrase] of q.matchAll(phrasePattern)) {
+    if (phrase.trim()) {
+      params.push(phrase);
+      parts.push(`phraseto_tsquery('english', $${params.length})`);
+    }
+  }
+
+  for (const word of q.replace(phrasePattern, ' ').split(/\s+/)) {
+    if (word.endsWith('*')) {
+      // Only plain word characters are safe to hand to to_tsquery
+      const prefix = word.replace(/[^A-Za-z0-9_]/g, '');
+      if (prefix) {
+        params.push(`${prefix}:*`);
+        parts.push(`to_tsquery('english', $${params.length})`);
+      }
+    } else if (word) {
+      params.push(word);
+      parts.push(`plainto_tsquery('english', $${params.length})`);
+    }
+  }
+
+  return parts.length > 0 ? parts.join(' && ') : null;
+}
+
+// Listing filters that map to a range comparison on a timestamp column
+const DATE_FILTERS = {
+  created_after: ['created_at', '>='],
+  created_before: ['created_at', '<'],
+  updated_after: ['updated_at', '>='],
+  updated_before: ['updated_at', '<'],
+};
+
+// Request schema for the filters (see validation.js); also used for bulk filters
+const FILTER_SCHEMA = {
+  q: { type: 'string', maxLength: 500 },
+  status: { type: 'string', enum: workflow.STATUSES },
+  severity: { type: 'string', enum: workflow.SEVERITIES },
+  customer_id: { type: 'integer', min: 1 },
+  assigned_to: { type: 'string', maxLength: 100 },
+  tags: { type: 'array', list: true, items: { type: 'string' } },
+  tags_match: { type: 'string', enum: TAG_MATCHES },
+  ...Object.fromEntries(Object.keys(DATE_FILTERS).map((name) => [name, { type: 'date' }])),
+  include: { type: 'array', list: true, items: { type: 'string', enum: ['archived', 'deleted'] } },
+};
+
+// Build WHERE conditions for the ticket filters accepted by GET /api/tickets
+// Values are pushed onto params; returns { conditions, searchQuery } or { error, field }
+function buildTicketFilters(filters, params) {
+  const { q, status, severity, customer_id, assigned_to } = filters;
+  const conditions = [];
+
+  // Soft-deleted tickets are hidden unless asked for with include=deleted
+  // include=archived means the caller reads archive.ARCHIVE_SOURCE, where archived rows carry archived_tags
+  const include = String(filters.include || '').split(',');
+  const archived = include.includes('archived');
+  if (!include.includes('deleted')) {
+    conditions.push('deleted_at IS NULL');
+  }
+
+  // Add filters (demonstrating parameterized queries to prevent SQL injection)
+  let searchQuery = null;
+  if (q) {
+    searchQuery = buildSearchQuery(q, params);
+    if (!searchQuery) {
+      return { error: 'Search query has no searchable terms', field: 'q' };
+    }
+    conditions.push(`search_vector @@ (${searchQuery})`);
+  }
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (severity) {
+    params.push(severity);
+    conditions.push(`severity = $${params.length}`);
+  }
+
+  if (customer_id) {
+    const customerId = parseInt(customer_id);
+    if (isNaN(customerId)) {
+      return { error: 'customer_id must be an integer', field: 'customer_id' };
+    }
+    params.push(customerId);
+    conditions.push(`customer_id = $${params.length}`);
+  }
+
+  if (assigned_to) {
+    params.push(assigned_to);
+    conditions.push(`assigned_to = $${params.length}`);
+  }
+
+  // tags=a,b matches tickets with any of the tags; tags_match=all requires every one
+  if (filters.tags) {
+    const { names, error } = normalizeTagNames(filters.tags);
+    if (error) {
+      return { error, field: 'tags' };
+    }
+
+    const match = filters.tags_match || 'any';
+    if (!TAG_MATCHES.includes(match)) {
+      return { error: `Invalid tags_match. Must be one of: ${TAG_MATCHES.join(', ')}`, field: 'tags_match' };
+    }
+
+    if (names.length > 0) {
+      params.push(names);
+      const tagged = `
+        SELECT tt.ticket_id FROM ticket_tags tt
+        JOIN tags tg ON tg.id = tt.tag_id
+        WHERE tg.name = ANY($${params.length}::varchar[])`;
+
+      const tagsParam = params.length;
+      let condition;
+      if (match === 'all') {
+        params.push(names.length);
+        condition = `id IN (${tagged}
+        GROUP BY tt.ticket_id
+        HAVING COUNT(*) = $${params.length})`;
+      } else {
+        condition = `id IN (${tagged})`;
+      }
+
+      // Archived tickets keep their tags in the snapshot instead of ticket_tags
+      if (archived) {
+        const operator = match === 'all' ? '@>' : '&&';
+        condition = `(${condition} OR archived_tags ${operator} $${tagsParam}::varchar[])`;
+      }
+      conditions.push(condition);
+    }
+  }
+
+  for (const [name, [column, operator]] of Object.entries(DATE_FILTERS)) {
+    const value = filters[name];
+    if (!value) continue;
+
+    if (isNaN(Date.parse(value))) {
+      return { error: `${name} must be an ISO 8601 date`, field: name };
+    }
+    params.push(value);
+    conditions.push(`${column} ${operator} $${params.length}::timestamptz`);
+  }
+
+  return { conditions, searchQuery };
+}
+
+module.exports = {
+  FILTER_SCHEMA,
+  buildTicketFilters,
+};
@@ -0,0 +1,204 @@
+// Background dependency checks and process lifecycle for the health endpoints
+// Probes read cached results instead of calling the database, httpbin and S3 themselves, so a
+// burst of health checks can't pile load onto a struggling dependency (or time out waiting on one).
+// HEALTH_CRITICAL_CHECKS decides which failures take the app out of rotation (/health/ready = 503);
+// the rest are reported but tolerated.
+const { performance } = require('perf_hooks');
+const fetch = require('node-fetch');
+const { HeadBucketCommand } = require('@aws-sdk/client-s3');
+const config = require('./config');
+const db = require('./db');
+const { s3Client } = require('./s3');
+
+// Where the process is in its life: booting -> started -> shutting down
+const lifecycle = {
+  started: false,
+  startedAt: null,
+  shuttingDown: false,
+  shutdownAt: null,
+};
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+// Reject when a check takes longer than HEALTH_CHECK_TIMEOUT_MS
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Each check resolves with optional details, throws when the dependency is unhealthy,
+// or returns null when it isn't configured
+const CHECKS = {
+  // Also the source of the connection-slot numbers in /health/full
+  database: () => db.serverConnections(),
+
+  externalApi: async () => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.health.timeoutMs);
+    try {
+      const response = await fetch(`${config.externalApiUrl}/status/200`, { signal: controller.signal });
+      if (!response.ok) throw new Error(`Responded with ${response.status}`);
+      return { endpoint: config.externalApiUrl };
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+
+  storage: async () => {
+    if (!s3Client) return null;
+    await s3Client.send(new HeadBucketCommand({ Bucket: config.s3.bucketName }), {
+      abortSignal: AbortSignal.timeout(config.health.timeoutMs),
+    });
+    return { bucket: config.s3.bucketName };
+  },
+};
+
+const results = {};
+
+for (const name of ['database', 'replica', 'externalApi', 'storage']) {
+  results[name] = {
+    status: 'unknown',
+    critical: config.health.critical.includes(name),
+    latency_ms: null,
+    checked_at: null,
+    last_success_at: null,
+    error: null,
+    details: null,
+  };
+}
+
+function setStatus(name, status, error) {
+  const result = results[name];
+  if (result.status !== status && result.status !== 'unknown') {
+    const message = `[HEALTH] ${name} is now ${status}${error ? `: ${error}` : ''}`;
+    if (status === 'healthy') console.log(message);
+    else console.warn(message);
+  }
+  result.status = status;
+  result.error = error || null;
+}
+
+async function runCheck(name) {
+  const result = results[name];
+  const start = performance.now();
+
+  try {
+    const details = await withTimeout(CHECKS[name](), config.health.timeoutMs);
+    result.latency_ms = round(performance.now() - start);
+    result.checked_at = new Date().toISOString();
+
+    if (details === null) {
+      result.details = null;
+      setStatus(name, 'not_configured');
+      return;
+    }
+    result.details = details;
+    result.last_success_at = result.checked_at;
+    setStatus(name, 'healthy');
+  } catch (err) {
+    result.latency_ms = round(performance.now() - start);
+    result.checked_at = new Date().toISOString();
+    // Don't keep reporting the last successful check's details alongside the failure
+    result.details = null;
+    setStatus(name, 'unhealthy', err.name === 'AbortError' ? 'Request timeout' : err.message);
+  }
+}
+
+// The replica is already watched by db.js (which decides where reads go); mirror its last result
+function syncReplica() {
+  const replica = db.replicaStatus();
+  const result = results.replica;
+
+  if (!replica.configured) {
+    setStatus('replica', 'not_configured');
+    return;
+  }
+  if (!replica.checked_at) return;
+
+  result.latency_ms = replica.latency_ms;
+  result.checked_at = replica.checked_at;
+  result.details = { lag_ms: replica.lag_ms, max_lag_ms: replica.max_lag_ms, serving_reads: replica.serving_reads };
+
+  if (replica.serving_reads) {
+    result.last_success_at = replica.checked_at;
+    setStatus('replica', 'healthy');
+  } else if (replica.reachable) {
+    // Reachable but behind: reads have gone back to the primary
+    setStatus('replica', 'lagging', replica.lag_ms === null ? 'Replication lag unknown' : `${Math.round(replica.lag_ms)}ms behind`);
+  } else {
+    setStatus('replica', 'unhealthy', replica.last_error);
+  }
+}
+
+async function runAll() {
+  await Promise.all(Object.keys(CHECKS).map(runCheck));
+  syncReplica();
+}
+
+let timer = null;
+
+// Run every check now and then every HEALTH_CHECK_INTERVAL_MS; resolves after the first round
+function start() {
+  if (timer) return Promise.resolve();
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    await runAll();
+    running = false;
+  };
+
+  timer = setInterval(tick, config.health.intervalMs);
+  timer.unref();
+  return tick();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function markStarted() {
+  lifecycle.started = true;
+  lifecycle.startedAt = new Date().toISOString();
+}
+
+// From here on readiness fails, so the load balancer stops sending new requests while we drain
+function markShuttingDown() {
+  lifecycle.shuttingDown = true;
+  lifecycle.shutdownAt = new Date().toISOString();
+}
+
+// Copy of every check result (the replica's refreshed from db.js first)
+function getResults() {
+  syncReplica();
+  return Object.fromEntries(Object.entries(results).map(([name, result]) => [name, { ...result }]));
+}
+
+// Why the app shouldn't receive traffic right now (empty when it should)
+function readinessProblems() {
+  const problems = [];
+  if (lifecycle.shuttingDown) problems.push('shutting down');
+  if (!lifecycle.started) problems.push('still starting');
+
+  for (const [name, result] of Object.entries(getResults())) {
+    if (result.critical && result.status !== 'healthy') {
+      problems.push(`${name} is ${result.status}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  lifecycle,
+  start,
+  stop,
+  markStarted,
+  markShuttingDown,
+  getResults,
+  readinessProblems,
+};
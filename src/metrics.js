@@ -0,0 +1,252 @@
+// Prometheus metrics
+// HTTP request counts and latency histograms (fed by the request logging middleware), database pool,
+// replica and transaction stats, and Node process/event-loop metrics, rendered in the Prometheus text
+// format (version 0.0.4). Ticket gauges are added by the /metrics route, which owns those queries.
+const { monitorEventLoopDelay } = require('perf_hooks');
+const db = require('./db');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from a cached lookup to a request that is about to time out
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Keyed by label values joined with \0
+const requestCounts = new Map();
+const requestDurations = new Map();
+
+// Event loop delay since the last scrape, sampled every 20ms
+const EVENT_LOOP_RESOLUTION_MS = 20;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+eventLoopDelay.enable();
+
+// Route template rather than the raw path, so /api/tickets/1 and /api/tickets/2 share a series
+// Requests that matched no route (404s, bodies rejected before routing) are lumped together
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+
+  // Routers mounted on a pattern (/:id/comments, with mergeParams) see the real values in baseUrl;
+  // put the parameter names back
+  const names = Object.keys(req.params);
+  const base = req.baseUrl
+    .split('/')
+    .map((segment) => {
+      const name = names.find((key) => String(req.params[key]) === segment);
+      return name ? `:${name}` : segment;
+    })
+    .join('/');
+
+  const path = String(req.route.path);
+  if (path === '/' && base) return base;
+  return `${base}${path}`;
+}
+
+// Called by the request logging middleware once the response has finished
+function observeRequest(req, res, durationMs) {
+  const route = routeLabel(req);
+  const seconds = durationMs / 1000;
+
+  const countKey = [req.method, route, res.statusCode].join('\0');
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+  const durationKey = [req.method, route].join('\0');
+  let histogram = requestDurations.get(durationKey);
+  if (!histogram) {
+    histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    requestDurations.set(durationKey, histogram);
+  }
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// ===== TEXT FORMAT =====
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+}
+
+// Collects metric families and renders them; samples are [labels, value] pairs
+class Exposition {
+  constructor() {
+    this.lines = [];
+  }
+
+  family(name, type, help, samples) {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      this.lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return this;
+  }
+
+  // series: [{ labels, buckets: [[upperBound, cumulativeCount]], sum, count }]
+  histogram(name, help, series) {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+    for (const { labels, buckets, sum, count } of series) {
+      for (const [le, value] of buckets) {
+        this.lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${value}`);
+      }
+      this.lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      this.lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      this.lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return this;
+  }
+
+  gauge(name, help, value, labels) {
+    return this.family(name, 'gauge', help, [[labels, value]]);
+  }
+
+  counter(name, help, value, labels) {
+    return this.family(name, 'counter', help, [[labels, value]]);
+  }
+
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
+
+// ===== COLLECTORS =====
+
+function collectHttp(out) {
+  out.family(
+    'http_requests_total',
+    'counter',
+    'HTTP requests by method, route and status code',
+    [...requestCounts].map(([key, count]) => {
+      const [method, route, status] = key.split('\0');
+      return [{ method, route, status }, count];
+    })
+  );
+
+  out.histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by method and route',
+    [...requestDurations].map(([key, histogram]) => {
+      const [method, route] = key.split('\0');
+      return {
+        labels: { method, route },
+        buckets: DURATION_BUCKETS.map((bound, i) => [bound, histogram.buckets[i]]),
+        sum: histogram.sum,
+        count: histogram.count,
+      };
+    })
+  );
+}
+
+function collectPool(out) {
+  const pools = [['primary', db.poolStats()]];
+  if (db.replicaPool) pools.push(['replica', db.poolStats(db.replicaPool)]);
+
+  const each = (fn) => pools.map(([pool, stats]) => [{ pool }, fn(stats)]);
+
+  out
+    .family('db_pool_max_clients', 'gauge', 'Most connections the pool will open', each((s) => s.max))
+    .family(
+      'db_pool_clients',
+      'gauge',
+      'Open pool connections by state',
+      pools.flatMap(([pool, s]) => [
+        [{ pool, state: 'idle' }, s.idle],
+        [{ pool, state: 'in_use' }, s.in_use],
+      ])
+    )
+    .family('db_pool_waiting_clients', 'gauge', 'Callers queued waiting for a connection', each((s) => s.waiting))
+    .family('db_pool_acquires_total', 'counter', 'Connections handed out by the pool', each((s) => s.acquired))
+    .family(
+      'db_pool_acquire_wait_seconds_total',
+      'counter',
+      'Time spent waiting for a pool connection',
+      each((s) => s.acquire_wait_total_ms / 1000)
+    )
+    .family(
+      'db_pool_acquire_wait_max_seconds',
+      'gauge',
+      'Longest wait for a pool connection since startup',
+      each((s) => s.acquire_wait_max_ms / 1000)
+    )
+    .family(
+      'db_pool_errors_total',
+      'counter',
+      'Connection errors by kind (acquire = could not get a connection)',
+      pools.flatMap(([pool, s]) => [
+        [{ pool, kind: 'acquire' }, s.errors.acquire],
+        [{ pool, kind: 'idle_client' }, s.errors.idle_client],
+        [{ pool, kind: 'checked_out_client' }, s.errors.checked_out_client],
+      ])
+    );
+
+  const replica = db.replicaStatus();
+  if (replica.configured) {
+    out.gauge('db_replica_serving_reads', 'Whether reads are currently routed to the replica', replica.serving_reads);
+    if (replica.lag_ms !== null) {
+      out.gauge('db_replica_lag_seconds', 'Replication lag at the last check', replica.lag_ms / 1000);
+    }
+  }
+
+  const transactions = db.transactionStats();
+  out
+    .family('db_transactions_total', 'counter', 'Transactions run through db.transaction by outcome', [
+      [{ outcome: 'committed' }, transactions.committed],
+      [{ outcome: 'rolled_back' }, transactions.rolled_back],
+      [{ outcome: 'failed' }, transactions.failed],
+    ])
+    .counter('db_transaction_retries_total', 'Transaction attempts retried after a transient error', transactions.retried);
+}
+
+function collectProcess(out) {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+
+  out
+    .counter('process_cpu_user_seconds_total', 'User CPU time spent', cpu.user / 1e6)
+    .counter('process_cpu_system_seconds_total', 'System CPU time spent', cpu.system / 1e6)
+    .gauge('process_resident_memory_bytes', 'Resident memory size', memory.rss)
+    .gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', Math.round(Date.now() / 1000 - process.uptime()))
+    .gauge('nodejs_heap_size_total_bytes', 'V8 heap size', memory.heapTotal)
+    .gauge('nodejs_heap_size_used_bytes', 'V8 heap in use', memory.heapUsed)
+    .gauge('nodejs_external_memory_bytes', 'Memory used by C++ objects bound to JavaScript', memory.external)
+    .gauge('nodejs_version_info', 'Node.js version', 1, { version: process.version });
+
+  // Samples are in nanoseconds and include the sampling timer itself, so an idle loop reads as the
+  // resolution; report only the delay on top of it. Values cover the time since the previous scrape
+  const seconds = (ns) => (Number.isFinite(ns) ? Math.max(0, ns / 1e9 - EVENT_LOOP_RESOLUTION_MS / 1000) : 0);
+  out
+    .family('nodejs_eventloop_delay_seconds', 'gauge', 'Event loop delay percentiles since the last scrape', [
+      [{ quantile: '0.5' }, seconds(eventLoopDelay.percentile(50))],
+      [{ quantile: '0.9' }, seconds(eventLoopDelay.percentile(90))],
+      [{ quantile: '0.99' }, seconds(eventLoopDelay.percentile(99))],
+    ])
+    .gauge('nodejs_eventloop_delay_max_seconds', 'Longest event loop delay since the last scrape', seconds(eventLoopDelay.max))
+    .gauge('nodejs_eventloop_delay_mean_seconds', 'Mean event loop delay since the last scrape', seconds(eventLoopDelay.mean));
+  eventLoopDelay.reset();
+}
+
+// Everything this module knows about; the caller adds its own families to `out` before rendering
+function collect() {
+  const out = new Exposition();
+  collectHttp(out);
+  collectPool(out);
+  collectProcess(out);
+  return out;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  observeRequest,
+  collect,
+};
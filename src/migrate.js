@@ -0,0 +1,225 @@
+// Versioned schema migrations
+// Each file in migrations/ is named <version>_<name>.js and exports async up(client) and down(client);
+// they run in version order and every applied version is recorded in schema_migrations.
+//   module.exports = {
+//     async up(client) { await client.query('ALTER TABLE ...'); },
+//     async down(client) { await client.query('ALTER TABLE ...'); },
+//   };
+// A migration runs inside a transaction unless it exports transaction: false (needed for
+// e.g. CREATE INDEX CONCURRENTLY). Those are marked dirty while they run, so one that fails
+// halfway stops the app from starting until someone checks the schema and runs `force`.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Session-level advisory lock held while migrating, so replicas booting together take turns
+const LOCK_ID = 4817202;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration files in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      file: path.join(dir, file),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+// 7_add_index -> "007_add_index", matching the file name
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function loadModule(migration) {
+  const mod = require(migration.file);
+  if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+    throw new Error(`Migration ${path.basename(migration.file)} must export up() and down()`);
+  }
+  return mod;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      dirty BOOLEAN NOT NULL DEFAULT false,
+      applied_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+}
+
+// Compare the files with schema_migrations
+// Returns { migrations, pending, dirty, missing }: missing lists versions recorded
+// in the database that have no file (e.g. a newer deploy ran and was rolled back)
+async function getStatus(client) {
+  const migrations = loadMigrations();
+
+  const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  const rows = exists.rows[0].exists
+    ? (await client.query('SELECT version, name, dirty, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+
+  const recorded = new Map(rows.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((m) => m.version));
+
+  return {
+    migrations: migrations.map((m) => ({ ...m, record: recorded.get(m.version) || null })),
+    pending: migrations.filter((m) => !recorded.has(m.version)),
+    dirty: rows.find((row) => row.dirty) || null,
+    missing: rows.filter((row) => !known.has(row.version)),
+  };
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    // Waiting for the lock and the migrations themselves may legitimately outlast DB_STATEMENT_TIMEOUT_MS
+    await client.query('SET statement_timeout = 0');
+
+    const attempt = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!attempt.rows[0].locked) {
+      console.log('[MIGRATE] Another process is migrating, waiting for it to finish...');
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    }
+
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    // Back to the pool's default before another caller gets this connection
+    await client.query('RESET statement_timeout').catch(() => {});
+    client.release();
+  }
+}
+
+function dirtyError(dirty) {
+  return new Error(
+    `Migration ${migrationLabel(dirty)} did not finish and left the schema dirty; ` +
+      `check the database by hand, then run: npm run migrate force ${dirty.version}`
+  );
+}
+
+// Run one migration in the given direction and record the result
+async function runMigration(client, migration, direction) {
+  const mod = loadModule(migration);
+  const label = migrationLabel(migration);
+  const start = Date.now();
+
+  const record = direction === 'up'
+    ? () => client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name])
+    : () => client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+
+  console.log(`[MIGRATE] ${direction === 'up' ? 'Applying' : 'Reverting'} ${label}...`);
+
+  if (mod.transaction === false) {
+    await client.query(
+      `INSERT INTO schema_migrations (version, name, dirty) VALUES ($1, $2, true)
+       ON CONFLICT (version) DO UPDATE SET dirty = true`,
+      [migration.version, migration.name]
+    );
+    await mod[direction](client);
+    await (direction === 'up'
+      ? client.query('UPDATE schema_migrations SET dirty = false, applied_at = NOW() WHERE version = $1', [migration.version])
+      : record());
+  } else {
+    await client.query('BEGIN');
+    try {
+      await mod[direction](client);
+      await record();
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+  }
+
+  console.log(`[MIGRATE] ${direction === 'up' ? 'Applied' : 'Reverted'} ${label} in ${Date.now() - start}ms`);
+}
+
+// Apply pending migrations, optionally only up to (and including) a version
+// Returns the migrations that were applied
+async function migrateUp(pool, { to } = {}) {
+  return withLock(pool, async (client) => {
+    await ensureMigrationsTable(client);
+
+    // Checked under the lock - another replica may have just finished
+    const status = await getStatus(client);
+    if (status.dirty) throw dirtyError(status.dirty);
+
+    const targets = status.pending.filter((m) => to === undefined || m.version <= to);
+    for (const migration of targets) {
+      await runMigration(client, migration, 'up');
+    }
+    return targets;
+  });
+}
+
+// Revert the most recently applied migrations (one by default)
+// Returns the migrations that were reverted
+async function migrateDown(pool, { steps = 1 } = {}) {
+  // slice(-0) would be every migration - never revert the whole schema by accident
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`steps must be a positive integer (got ${steps})`);
+  }
+
+  return withLock(pool, async (client) => {
+    await ensureMigrationsTable(client);
+
+    const status = await getStatus(client);
+    if (status.dirty) throw dirtyError(status.dirty);
+
+    const applied = status.migrations.filter((m) => m.record);
+    if (status.missing.length > 0) {
+      const latest = status.missing[status.missing.length - 1];
+      if (applied.length === 0 || latest.version > applied[applied.length - 1].version) {
+        throw new Error(`Migration ${migrationLabel(latest)} is applied but its file is missing; deploy it before reverting`);
+      }
+    }
+
+    const targets = applied.slice(-steps).reverse();
+    for (const migration of targets) {
+      await runMigration(client, migration, 'down');
+    }
+    return targets;
+  });
+}
+
+// Mark a dirty migration as applied once the schema has been fixed by hand
+async function forceVersion(pool, version) {
+  return withLock(pool, async (client) => {
+    await ensureMigrationsTable(client);
+    const result = await client.query(
+      'UPDATE schema_migrations SET dirty = false, applied_at = NOW() WHERE version = $1 AND dirty RETURNING name',
+      [version]
+    );
+    return result.rows[0] || null;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationLabel,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  forceVersion,
+};
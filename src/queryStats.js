@@ -0,0 +1,203 @@
+// Per-statement query statistics
+// Every query that goes through the pool is timed and grouped by fingerprint: the SQL with literals
+// replaced by ? and whitespace collapsed, so `WHERE id = 5` and `WHERE id = 7` count as one statement.
+// Queries slower than SLOW_QUERY_MS are logged with their parameters redacted to type and size.
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const config = require('./config');
+
+// Oldest fingerprints are dropped past this, so ad-hoc SQL can't grow the map forever
+const MAX_FINGERPRINTS = 500;
+const MAX_LOGGED_QUERY_LENGTH = 500;
+
+const stats = new Map();
+// Query text -> fingerprint; the app sends the same few hundred strings over and over
+const fingerprintCache = new Map();
+let since = new Date();
+
+// Strip comments and literals so only the shape of the statement is left
+function normalize(text) {
+  return text
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, '?')
+    .replace(/(?<![\w$])\d+(?:\.\d+)?\b/g, '?')
+    .replace(/\(\s*\?(?:\s*,\s*\?)+\s*\)/g, '(?, ...)')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function fingerprint(text) {
+  let entry = fingerprintCache.get(text);
+  if (!entry) {
+    const query = normalize(text);
+    entry = {
+      id: crypto.createHash('sha1').update(query).digest('hex').slice(0, 12),
+      query,
+    };
+    if (fingerprintCache.size >= MAX_FINGERPRINTS * 2) fingerprintCache.clear();
+    fingerprintCache.set(text, entry);
+  }
+  return entry;
+}
+
+// Describe parameters without their values: ['<string:12>', '<number>', null]
+function redactParams(params) {
+  if (!Array.isArray(params)) return [];
+  return params.map((value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return `<string:${value.length}>`;
+    if (Buffer.isBuffer(value)) return `<bytes:${value.length}>`;
+    if (Array.isArray(value)) return `<array:${value.length}>`;
+    if (value instanceof Date) return '<date>';
+    return `<${typeof value}>`;
+  });
+}
+
+function record(text, params, durationMs, err, result) {
+  const { id, query } = fingerprint(text);
+
+  let entry = stats.get(id);
+  if (!entry) {
+    if (stats.size >= MAX_FINGERPRINTS) {
+      // Map iteration follows insertion order and entries are re-inserted on use, so the first is the stalest
+      stats.delete(stats.keys().next().value);
+    }
+    entry = { fingerprint: id, query, calls: 0, errors: 0, total_ms: 0, max_ms: 0, rows: 0, last_error: null, last_called_at: null };
+  }
+  stats.delete(id);
+  stats.set(id, entry);
+
+  entry.calls += 1;
+  entry.total_ms += durationMs;
+  entry.max_ms = Math.max(entry.max_ms, durationMs);
+  entry.last_called_at = new Date().toISOString();
+  if (err) {
+    entry.errors += 1;
+    // Only the SQLSTATE - error messages can quote the offending values
+    entry.last_error = err.code || err.name;
+  } else if (result && typeof result.rowCount === 'number') {
+    entry.rows += result.rowCount;
+  }
+
+  if (durationMs >= config.slowQueryMs) {
+    const shown = query.length > MAX_LOGGED_QUERY_LENGTH ? `${query.slice(0, MAX_LOGGED_QUERY_LENGTH)}...` : query;
+    console.warn(
+      `[DATABASE] Slow query ${id} took ${Math.round(durationMs)}ms: ${shown} params=${JSON.stringify(redactParams(params))}`
+    );
+  }
+}
+
+// Time every query a pooled client runs (pool.query, transactions and db.query all end up here)
+function instrumentClient(client) {
+  const query = client.query;
+
+  client.query = function instrumentedQuery(...args) {
+    const [first, second] = args;
+    const text = typeof first === 'string' ? first : first && first.text;
+
+    // Cursors and query streams (submittables) finish on their own schedule; leave them alone
+    if (!text || typeof first.submit === 'function') {
+      return query.apply(this, args);
+    }
+
+    const params = Array.isArray(second) ? second : first.values;
+    const start = performance.now();
+    const done = (err, result) => record(text, params, performance.now() - start, err, result);
+
+    const last = args[args.length - 1];
+    if (typeof last === 'function') {
+      args[args.length - 1] = (err, result) => {
+        done(err, result);
+        last(err, result);
+      };
+      return query.apply(this, args);
+    }
+
+    return query.apply(this, args).then(
+      (result) => {
+        done(null, result);
+        return result;
+      },
+      (err) => {
+        done(err);
+        throw err;
+      }
+    );
+  };
+
+  return client;
+}
+
+const SORT_FIELDS = ['total_ms', 'mean_ms', 'max_ms', 'calls', 'errors'];
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+// Busiest statements first (by total time unless told otherwise)
+function snapshot({ sort = 'total_ms', limit = 20 } = {}) {
+  const queries = [...stats.values()].map((entry) => ({
+    fingerprint: entry.fingerprint,
+    query: entry.query,
+    calls: entry.calls,
+    errors: entry.errors,
+    total_ms: round(entry.total_ms),
+    mean_ms: round(entry.total_ms / entry.calls),
+    max_ms: round(entry.max_ms),
+    rows: entry.rows,
+    last_error: entry.last_error,
+    last_called_at: entry.last_called_at,
+  }));
+  queries.sort((a, b) => b[sort] - a[sort]);
+
+  return {
+    since: since.toISOString(),
+    slow_query_ms: config.slowQueryMs,
+    fingerprints: queries.length,
+    calls: queries.reduce((sum, q) => sum + q.calls, 0),
+    errors: queries.reduce((sum, q) => sum + q.errors, 0),
+    queries: queries.slice(0, limit),
+  };
+}
+
+function reset() {
+  stats.clear();
+  since = new Date();
+}
+
+// Server-side view from pg_stat_statements, when the extension is installed and loaded
+// (column names are the PostgreSQL 13+ ones)
+async function pgStatStatements(db, limit) {
+  const installed = await db.query("SELECT 1 FROM pg_extension WHERE extname = 'pg_stat_statements'");
+  if (installed.rows.length === 0) {
+    return { available: false, reason: 'pg_stat_statements extension is not installed' };
+  }
+
+  try {
+    // Straight to the pool: db.query would log the expected failure below as an error
+    const result = await db.pool.query(
+      `SELECT queryid::text AS queryid, query, calls::float AS calls, rows::float AS rows,
+              ROUND(total_exec_time::numeric, 2)::float AS total_ms,
+              ROUND(mean_exec_time::numeric, 2)::float AS mean_ms,
+              ROUND(max_exec_time::numeric, 2)::float AS max_ms
+       FROM pg_stat_statements
+       WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+       ORDER BY total_exec_time DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return { available: true, statements: result.rows };
+  } catch (err) {
+    // Installed but not in shared_preload_libraries, or no permission to read it
+    return { available: false, reason: err.message };
+  }
+}
+
+module.exports = {
+  SORT_FIELDS,
+  fingerprint,
+  redactParams,
+  instrumentClient,
+  snapshot,
+  reset,
+  pgStatStatements,
+};
@@ -0,0 +1,205 @@
+// Support agent roster
+// Agents own tickets via support_tickets.assigned_to
+const express = require('express');
+const db = require('../db');
+const agents = require('../agents');
+const { ID_PARAMS, validateRequest } = require('../validation');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// The editable agent fields
+const AGENT_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: {
+    type: 'string',
+    nullable: true,
+    maxLength: 255,
+    check: (value) => (/^[^\s@]+@[^\s@]+$/.test(value) ? null : 'email must be a valid email address'),
+  },
+  skills: { type: 'array', items: { type: 'string' } },
+  available: { type: 'boolean' },
+};
+
+// PATCH takes any of them
+const UPDATE_AGENT_SCHEMA = {
+  ...AGENT_SCHEMA,
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+};
+
+const LIST_QUERY_SCHEMA = {
+  available: { type: 'boolean' },
+  skill: { type: 'string' },
+};
+
+const DUPLICATE_NAME_MESSAGE = 'An agent with that name already exists';
+
+// Skills are matched case-insensitively, so store them normalized
+function normalizeSkills(skills) {
+  return [...new Set(skills.map((skill) => skill.trim().toLowerCase()).filter(Boolean))];
+}
+
+// 23505 = unique_violation on the (case-insensitive) agent name
+function isDuplicateName(err) {
+  return err.code === '23505';
+}
+
+// List agents with their current workload
+// GET /api/agents?available=true&skill=postgres
+router.get('/', validateRequest({ query: LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const { available, skill } = req.query;
+
+    let roster = await agents.getWorkload(db);
+
+    if (available !== undefined) {
+      roster = roster.filter((agent) => agent.available === available);
+    }
+
+    if (skill) {
+      roster = roster.filter((agent) => agent.skills.includes(skill.toLowerCase()));
+    }
+
+    res.json({
+      count: roster.length,
+      agents: roster,
+    });
+  } catch (err) {
+    console.error('[AGENTS] Failed to list agents:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list agents');
+  }
+});
+
+// Get single agent with workload
+// GET /api/agents/:id
+router.get('/:id', validateRequest({ params: ID_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const [agent] = await agents.getWorkload(db, req.params.id);
+
+    if (!agent) {
+      return sendError(res, 404, 'not_found', 'Agent not found');
+    }
+
+    res.json(agent);
+  } catch (err) {
+    console.error('[AGENTS] Failed to get agent:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to get agent');
+  }
+});
+
+// Create new agent
+// POST /api/agents
+router.post('/', validateRequest({ body: AGENT_SCHEMA }), async (req, res) => {
+  try {
+    const { name, email, skills, available } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO agents (name, email, skills, available)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name.trim(), email || null, normalizeSkills(skills || []), available !== false]
+    );
+
+    console.log(`[AGENTS] Created agent #${result.rows[0].id}: ${result.rows[0].name}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return sendError(res, 409, 'already_exists', DUPLICATE_NAME_MESSAGE);
+    }
+    console.error('[AGENTS] Failed to create agent:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to create agent');
+  }
+});
+
+// Update agent - renaming carries over to their assigned tickets
+// PATCH /api/agents/:id
+router.patch('/:id', validateRequest({ params: ID_PARAMS, body: UPDATE_AGENT_SCHEMA }), async (req, res) => {
+  try {
+    const { name, email, skills, available } = req.body;
+
+    // Build dynamic update query
+    const updates = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCount++}`);
+      params.push(name.trim());
+    }
+
+    if (email !== undefined) {
+      updates.push(`email = $${paramCount++}`);
+      params.push(email);
+    }
+
+    if (skills !== undefined) {
+      updates.push(`skills = $${paramCount++}`);
+      params.push(normalizeSkills(skills));
+    }
+
+    if (available !== undefined) {
+      updates.push(`available = $${paramCount++}`);
+      params.push(available);
+    }
+
+    if (updates.length === 0) {
+      return sendError(res, 400, 'validation_failed', 'No fields to update', {
+        details: Object.keys(UPDATE_AGENT_SCHEMA).map((field) => ({
+          field,
+          code: 'required',
+          message: `Send at least one of: ${Object.keys(UPDATE_AGENT_SCHEMA).join(', ')}`,
+        })),
+      });
+    }
+
+    params.push(req.params.id);
+
+    const result = await db.query(
+      `UPDATE agents
+       SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Agent not found');
+    }
+
+    console.log(`[AGENTS] Updated agent #${req.params.id}`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return sendError(res, 409, 'already_exists', DUPLICATE_NAME_MESSAGE);
+    }
+    console.error('[AGENTS] Failed to update agent:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to update agent');
+  }
+});
+
+// Remove agent - their tickets become unassigned
+// DELETE /api/agents/:id
+router.delete('/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM agents WHERE id = $1 RETURNING id, name',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Agent not found');
+    }
+
+    console.log(`[AGENTS] Deleted agent #${req.params.id}: ${result.rows[0].name}`);
+    res.json({
+      status: 'success',
+      message: 'Agent deleted successfully',
+      id: result.rows[0].id,
+    });
+  } catch (err) {
+    console.error('[AGENTS] Failed to delete agent:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to delete agent');
+  }
+});
+
+module.exports = router;
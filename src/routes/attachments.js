@@ -0,0 +1,258 @@
+// Ticket attachments (logs, screenshots, ...)
+// Files go to the S3 bucket under tickets/<id>/; Postgres keeps the metadata
+const express = require('express');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const db = require('../db');
+const config = require('../config');
+const { s3Client, requireS3 } = require('../s3');
+const { ID_PARAMS, validateRequest } = require('../validation');
+const { sendError, sendFieldError } = require('../errors');
+
+// mergeParams exposes the parent :id from /api/tickets/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// The file is the raw request body, whatever its content type
+const readFile = express.raw({ type: () => true, limit: `${config.maxAttachmentMb}mb` });
+
+// Make sure the parent ticket exists before touching its attachments
+async function findTicket(req, res) {
+  const result = await db.query(
+    'SELECT id FROM support_tickets WHERE id = $1 AND deleted_at IS NULL',
+    [req.params.id]
+  );
+
+  if (result.rows.length === 0) {
+    sendError(res, 404, 'not_found', 'Ticket not found');
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+// Look up one attachment on the ticket, or answer 404
+async function findAttachment(req, res, ticket) {
+  const result = await db.query(
+    'SELECT * FROM ticket_attachments WHERE id = $1 AND ticket_id = $2',
+    [req.params.attachmentId, ticket.id]
+  );
+
+  if (result.rows.length === 0) {
+    sendError(res, 404, 'not_found', 'Attachment not found');
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+// Keep only the last path segment and drop control characters
+function cleanFilename(name) {
+  return String(name || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim();
+}
+
+const ATTACHMENT_PARAMS = {
+  ...ID_PARAMS,
+  attachmentId: { type: 'integer', min: 1 },
+};
+
+const UPLOAD_QUERY_SCHEMA = {
+  filename: {
+    type: 'string',
+    required: true,
+    check: (value) => {
+      const filename = cleanFilename(value);
+      if (!filename) return 'filename must name a file, not a directory';
+      return filename.length > 255 ? 'filename must be 255 characters or less' : null;
+    },
+  },
+  uploaded_by: { type: 'string', required: true, maxLength: 100 },
+};
+
+// BIGINT comes back from pg as a string
+function serializeAttachment(row) {
+  return { ...row, size_bytes: parseInt(row.size_bytes) };
+}
+
+// List a ticket's attachments, oldest first
+// GET /api/tickets/:id/attachments
+router.get('/', validateRequest({ params: ID_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const result = await db.query(
+      'SELECT * FROM ticket_attachments WHERE ticket_id = $1 ORDER BY created_at ASC, id ASC',
+      [ticket.id]
+    );
+
+    res.json({
+      ticket_id: ticket.id,
+      count: result.rows.length,
+      attachments: result.rows.map(serializeAttachment),
+    });
+  } catch (err) {
+    console.error('[ATTACHMENTS] Failed to list attachments:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list attachments');
+  }
+});
+
+// Upload a file to a ticket - the request body is the file itself
+// POST /api/tickets/:id/attachments?filename=app.log&uploaded_by=Sarah%20Chen
+// curl --data-binary @app.log -H "Content-Type: text/plain" ...
+router.post('/', requireS3, validateRequest({ params: ID_PARAMS, query: UPLOAD_QUERY_SCHEMA }), (req, res, next) => {
+  readFile(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return sendError(res, 413, 'payload_too_large', `Attachments are limited to ${config.maxAttachmentMb} MB`);
+    }
+    next(err);
+  });
+}, async (req, res) => {
+  try {
+    const filename = cleanFilename(req.query.filename);
+    const uploadedBy = req.query.uploaded_by.trim();
+
+    // JSON and form bodies have already been consumed by the body parsers
+    if (!Buffer.isBuffer(req.body)) {
+      return sendFieldError(
+        res,
+        'body',
+        'Send the file as the request body (e.g. Content-Type: application/octet-stream)',
+        'invalid_type'
+      );
+    }
+
+    if (req.body.length === 0) {
+      return sendFieldError(res, 'body', 'File is empty', 'required');
+    }
+
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const contentType = req.get('Content-Type') || 'application/octet-stream';
+    const checksum = crypto.createHash('sha256').update(req.body).digest('hex');
+    const key = `tickets/${ticket.id}/${crypto.randomUUID()}/${filename}`;
+
+    await s3Client.send(new PutObjectCommand({
+      Bucket: config.s3.bucketName,
+      Key: key,
+      Body: req.body,
+      ContentType: contentType,
+      ContentLength: req.body.length,
+    }));
+
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO ticket_attachments
+          (ticket_id, filename, content_type, size_bytes, checksum, storage_key, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [ticket.id, filename, contentType, req.body.length, checksum, key, uploadedBy]
+      );
+    } catch (err) {
+      // Don't leave an object behind that no row points at
+      await s3Client.send(new DeleteObjectCommand({ Bucket: config.s3.bucketName, Key: key }))
+        .catch((cleanupErr) => console.error(`[ATTACHMENTS] Failed to clean up ${key}:`, cleanupErr.message));
+      throw err;
+    }
+
+    console.log(`[ATTACHMENTS] Uploaded ${filename} (${req.body.length} bytes) to ticket #${ticket.id}`);
+    res.status(201).json(serializeAttachment(result.rows[0]));
+  } catch (err) {
+    console.error('[ATTACHMENTS] Failed to upload attachment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to upload attachment');
+  }
+});
+
+// Get one attachment's metadata
+// GET /api/tickets/:id/attachments/:attachmentId
+router.get('/:attachmentId', validateRequest({ params: ATTACHMENT_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const attachment = await findAttachment(req, res, ticket);
+    if (!attachment) return;
+
+    res.json(serializeAttachment(attachment));
+  } catch (err) {
+    console.error('[ATTACHMENTS] Failed to fetch attachment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to fetch attachment');
+  }
+});
+
+// Download the file, streamed from the bucket
+// GET /api/tickets/:id/attachments/:attachmentId/download
+router.get('/:attachmentId/download', requireS3, validateRequest({ params: ATTACHMENT_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const attachment = await findAttachment(req, res, ticket);
+    if (!attachment) return;
+
+    const object = await s3Client.send(new GetObjectCommand({
+      Bucket: config.s3.bucketName,
+      Key: attachment.storage_key,
+    }));
+
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Content-Length': attachment.size_bytes,
+      'X-Checksum-SHA256': attachment.checksum,
+    });
+
+    pipeline(object.Body, res, (err) => {
+      if (err) {
+        console.error(`[ATTACHMENTS] Download of attachment #${attachment.id} interrupted:`, err.message);
+      }
+    });
+  } catch (err) {
+    if (err.name === 'NoSuchKey') {
+      return sendError(res, 404, 'not_found', 'Attachment file is missing from storage');
+    }
+    console.error('[ATTACHMENTS] Failed to download attachment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to download attachment');
+  }
+});
+
+// Delete an attachment - removes both the row and the object
+// DELETE /api/tickets/:id/attachments/:attachmentId
+router.delete('/:attachmentId', requireS3, validateRequest({ params: ATTACHMENT_PARAMS }), async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const attachment = await findAttachment(req, res, ticket);
+    if (!attachment) return;
+
+    // Delete the row first, but only commit once the object is gone too
+    // (deleting a missing object succeeds, so a retried transaction is harmless)
+    await db.transaction(async (client) => {
+      await client.query('DELETE FROM ticket_attachments WHERE id = $1', [attachment.id]);
+
+      await s3Client.send(new DeleteObjectCommand({
+        Bucket: config.s3.bucketName,
+        Key: attachment.storage_key,
+      }));
+    }, { name: `delete of attachment #${attachment.id}` });
+
+    console.log(`[ATTACHMENTS] Deleted ${attachment.filename} from ticket #${ticket.id}`);
+    res.json({
+      status: 'success',
+      message: 'Attachment deleted successfully',
+      id: attachment.id,
+    });
+  } catch (err) {
+    console.error('[ATTACHMENTS] Failed to delete attachment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to delete attachment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+// Ticket comment threads
+// The back-and-forth between agents and customers on a single ticket
+const express = require('express');
+const db = require('../db');
+const { ID_PARAMS, validateRequest } = require('../validation');
+const { sendError } = require('../errors');
+
+// mergeParams exposes the parent :id from /api/tickets/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const VISIBILITIES = ['public', 'internal'];
+
+const COMMENT_PARAMS = {
+  ...ID_PARAMS,
+  commentId: { type: 'integer', min: 1 },
+};
+
+const LIST_QUERY_SCHEMA = {
+  visibility: { type: 'string', enum: VISIBILITIES },
+};
+
+const CREATE_COMMENT_SCHEMA = {
+  author: { type: 'string', required: true, maxLength: 100 },
+  body: { type: 'string', required: true },
+  visibility: { type: 'string', enum: VISIBILITIES, default: 'public' },
+};
+
+const UPDATE_COMMENT_SCHEMA = {
+  body: { type: 'string', minLength: 1 },
+  visibility: { type: 'string', enum: VISIBILITIES },
+};
+
+// Make sure the parent ticket exists before touching its comments
+async function findTicket(req, res) {
+  const result = await db.query(
+    'SELECT id FROM support_tickets WHERE id = $1 AND deleted_at IS NULL',
+    [req.params.id]
+  );
+
+  if (result.rows.length === 0) {
+    sendError(res, 404, 'not_found', 'Ticket not found');
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+// List comments on a ticket, oldest first
+// GET /api/tickets/:id/comments?visibility=public
+router.get('/', validateRequest({ params: ID_PARAMS, query: LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const { visibility } = req.query;
+
+    let query = 'SELECT * FROM ticket_comments WHERE ticket_id = $1';
+    const params = [ticket.id];
+
+    if (visibility) {
+      query += ' AND visibility = $2';
+      params.push(visibility);
+    }
+
+    query += ' ORDER BY created_at ASC, id ASC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      ticket_id: ticket.id,
+      count: result.rows.length,
+      comments: result.rows,
+    });
+  } catch (err) {
+    console.error('[COMMENTS] Failed to list comments:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list comments');
+  }
+});
+
+// Add a comment to a ticket
+// POST /api/tickets/:id/comments
+router.post('/', validateRequest({ params: ID_PARAMS, body: CREATE_COMMENT_SCHEMA }), async (req, res) => {
+  try {
+    const { author, body, visibility } = req.body;
+
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const comment = await db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO ticket_comments (ticket_id, author, body, visibility)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [ticket.id, author, body, visibility]
+      );
+
+      // The first public reply counts as the first response for SLA purposes
+      if (result.rows[0].visibility === 'public') {
+        await client.query(
+          'UPDATE support_tickets SET first_response_at = NOW() WHERE id = $1 AND first_response_at IS NULL',
+          [ticket.id]
+        );
+      }
+      return result.rows[0];
+    }, { name: `comment on ticket #${ticket.id}` });
+
+    console.log(`[COMMENTS] Added comment #${comment.id} to ticket #${ticket.id}`);
+    res.status(201).json(comment);
+  } catch (err) {
+    console.error('[COMMENTS] Failed to create comment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to create comment');
+  }
+});
+
+// Edit a comment's body or visibility
+// PATCH /api/tickets/:id/comments/:commentId
+router.patch('/:commentId', validateRequest({ params: COMMENT_PARAMS, body: UPDATE_COMMENT_SCHEMA }), async (req, res) => {
+  try {
+    const { body, visibility } = req.body;
+
+    const updates = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (body !== undefined) {
+      updates.push(`body = $${paramCount++}`);
+      params.push(body);
+    }
+
+    if (visibility !== undefined) {
+      updates.push(`visibility = $${paramCount++}`);
+      params.push(visibility);
+    }
+
+    if (updates.length === 0) {
+      return sendError(res, 400, 'validation_failed', 'No fields to update', {
+        details: Object.keys(UPDATE_COMMENT_SCHEMA).map((field) => ({
+          field,
+          code: 'required',
+          message: `Send at least one of: ${Object.keys(UPDATE_COMMENT_SCHEMA).join(', ')}`,
+        })),
+      });
+    }
+
+    updates.push('updated_at = NOW()');
+    params.push(req.params.commentId, req.params.id);
+
+    const result = await db.query(
+      `UPDATE ticket_comments
+       SET ${updates.join(', ')}
+       WHERE id = $${paramCount++} AND ticket_id = $${paramCount}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Comment not found');
+    }
+
+    console.log(`[COMMENTS] Updated comment #${req.params.commentId} on ticket #${req.params.id}`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('[COMMENTS] Failed to update comment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to update comment');
+  }
+});
+
+// Delete a comment
+// DELETE /api/tickets/:id/comments/:commentId
+router.delete('/:commentId', validateRequest({ params: COMMENT_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM ticket_comments WHERE id = $1 AND ticket_id = $2 RETURNING id',
+      [req.params.commentId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Comment not found');
+    }
+
+    console.log(`[COMMENTS] Deleted comment #${req.params.commentId} from ticket #${req.params.id}`);
+    res.json({
+      status: 'success',
+      message: 'Comment deleted successfully',
+      id: result.rows[0].id,
+    });
+  } catch (err) {
+    console.error('[COMMENTS] Failed to delete comment:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to delete comment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+// Customer accounts
+// Every ticket belongs to a customer; this shows which accounts are on fire
+const express = require('express');
+const db = require('../db');
+const { ID_PARAMS, validateRequest } = require('../validation');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+const PLANS = ['trial', 'hobby', 'pro', 'enterprise'];
+
+// The editable customer fields
+const CUSTOMER_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  plan: { type: 'string', enum: PLANS, default: 'hobby' },
+  contact_email: {
+    type: 'string',
+    nullable: true,
+    maxLength: 255,
+    check: (value) => (/^[^\s@]+@[^\s@]+$/.test(value) ? null : 'contact_email must be a valid email address'),
+  },
+};
+
+// PATCH takes any of them, with no defaults
+const UPDATE_CUSTOMER_SCHEMA = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  plan: { type: 'string', enum: PLANS },
+  contact_email: CUSTOMER_SCHEMA.contact_email,
+};
+
+// List customers with their open ticket counts, busiest first
+// GET /api/customers?plan=pro
+router.get('/', validateRequest({ query: { plan: { type: 'string', enum: PLANS } } }), async (req, res) => {
+  try {
+    const { plan } = req.query;
+
+    let query = `
+      SELECT
+        c.*,
+        COUNT(t.id) FILTER (WHERE t.status <> 'resolved') as open_tickets
+      FROM customers c
+      LEFT JOIN support_tickets t ON t.customer_id = c.id AND t.deleted_at IS NULL
+    `;
+    const params = [];
+
+    if (plan) {
+      query += ' WHERE c.plan = $1';
+      params.push(plan);
+    }
+
+    query += ' GROUP BY c.id ORDER BY open_tickets DESC, c.name ASC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      count: result.rows.length,
+      customers: result.rows.map((row) => ({ ...row, open_tickets: parseInt(row.open_tickets) })),
+    });
+  } catch (err) {
+    console.error('[CUSTOMERS] Failed to list customers:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list customers');
+  }
+});
+
+// Get single customer by ID
+// GET /api/customers/:id
+router.get('/:id', validateRequest({ params: ID_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM customers WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Customer not found');
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('[CUSTOMERS] Failed to get customer:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to get customer');
+  }
+});
+
+// Create new customer
+// POST /api/customers
+router.post('/', validateRequest({ body: CUSTOMER_SCHEMA }), async (req, res) => {
+  try {
+    const { name, plan, contact_email } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO customers (name, plan, contact_email)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, plan, contact_email || null]
+    );
+
+    console.log(`[CUSTOMERS] Created customer #${result.rows[0].id}: ${name}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('[CUSTOMERS] Failed to create customer:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to create customer');
+  }
+});
+
+// Update customer
+// PATCH /api/customers/:id
+router.patch('/:id', validateRequest({ params: ID_PARAMS, body: UPDATE_CUSTOMER_SCHEMA }), async (req, res) => {
+  try {
+    // Build dynamic update query
+    const updates = [];
+    const params = [];
+    let paramCount = 1;
+
+    for (const field of ['name', 'plan', 'contact_email']) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        params.push(req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return sendError(res, 400, 'validation_failed', 'No fields to update', {
+        details: Object.keys(UPDATE_CUSTOMER_SCHEMA).map((field) => ({
+          field,
+          code: 'required',
+          message: `Send at least one of: ${Object.keys(UPDATE_CUSTOMER_SCHEMA).join(', ')}`,
+        })),
+      });
+    }
+
+    params.push(req.params.id);
+
+    const result = await db.query(
+      `UPDATE customers
+       SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Customer not found');
+    }
+
+    console.log(`[CUSTOMERS] Updated customer #${req.params.id}`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('[CUSTOMERS] Failed to update customer:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to update customer');
+  }
+});
+
+// Delete customer (only once they have no tickets)
+// DELETE /api/customers/:id
+router.delete('/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM customers WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Customer not found');
+    }
+
+    console.log(`[CUSTOMERS] Deleted customer #${req.params.id}`);
+    res.json({
+      status: 'success',
+      message: 'Customer deleted successfully',
+      id: result.rows[0].id,
+    });
+  } catch (err) {
+    // 23503 = foreign_key_violation: tickets still reference this customer
+    if (err.code === '23503') {
+      return sendError(res, 409, 'customer_has_tickets', 'Customer still has tickets and cannot be deleted');
+    }
+    console.error('[CUSTOMERS] Failed to delete customer:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to delete customer');
+  }
+});
+
+// Customer's tickets with an account summary
+// GET /api/customers/:id/tickets
+router.get('/:id/tickets', validateRequest({ params: ID_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const customer = await db.query('SELECT * FROM customers WHERE id = $1', [id]);
+
+    if (customer.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Customer not found');
+    }
+
+    const tickets = await db.query(
+      `SELECT id, title, severity, status, assigned_to, resolution_time,
+              created_at, updated_at, resolved_at
+       FROM support_tickets
+       WHERE customer_id = $1 AND deleted_at IS NULL
+       ORDER BY created_at DESC`,
+      [id]
+    );
+
+    // Last contact is the most recent ticket or comment activity on the account
+    const summary = await db.query(
+      `SELECT
+         COUNT(*) as total_tickets,
+         COUNT(CASE WHEN t.status <> 'resolved' THEN 1 END) as open_tickets,
+         AVG(t.resolution_time) as avg_resolution_time,
+         GREATEST(MAX(t.created_at), MAX(t.updated_at), (
+           SELECT MAX(c.created_at)
+           FROM ticket_comments c
+           JOIN support_tickets ct ON ct.id = c.ticket_id
+           WHERE ct.customer_id = $1 AND ct.deleted_at IS NULL
+         )) as last_contact
+       FROM support_tickets t
+       WHERE t.customer_id = $1 AND t.deleted_at IS NULL`,
+      [id]
+    );
+
+    const stats = summary.rows[0];
+
+    res.json({
+      customer: customer.rows[0],
+      summary: {
+        total_tickets: parseInt(stats.total_tickets),
+        open_tickets: parseInt(stats.open_tickets),
+        avg_resolution_time_minutes: stats.avg_resolution_time
+          ? parseFloat(parseFloat(stats.avg_resolution_time).toFixed(2))
+          : null,
+        last_contact: stats.last_contact,
+      },
+      tickets: tickets.rows,
+    });
+  } catch (err) {
+    console.error('[CUSTOMERS] Failed to get customer tickets:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to get customer tickets');
+  }
+});
+
+module.exports = router;
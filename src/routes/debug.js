@@ -2,6 +2,9 @@
 // These simulate common production issues you'll encounter
 const express = require('express');
 const db = require('../db');
+const queryStats = require('../queryStats');
+const { validateRequest } = require('../validation');
+const { sendError } = require('../errors');
 
 const router = express.Router();
 
@@ -27,6 +30,36 @@ router.get('/slow-query', async (req, res) => {
   }
 });
 
+const QUERIES_SCHEMA = {
+  sort: { type: 'string', enum: queryStats.SORT_FIELDS, default: 'total_ms' },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 },
+};
+
+// Query statistics per fingerprint - where is the database time going?
+// GET /debug/queries
+router.get('/queries', validateRequest({ query: QUERIES_SCHEMA }), async (req, res) => {
+  const { sort, limit } = req.query;
+
+  try {
+    res.json({
+      ...queryStats.snapshot({ sort, limit }),
+      transactions: db.transactionStats(),
+      pg_stat_statements: await queryStats.pgStatStatements(db, limit),
+    });
+  } catch (err) {
+    console.error('[DEBUG] Query statistics failed:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to collect query statistics');
+  }
+});
+
+// Start the query statistics over (pg_stat_statements is left alone)
+// DELETE /debug/queries
+router.delete('/queries', (req, res) => {
+  queryStats.reset();
+  console.log('[DEBUG] Query statistics reset');
+  res.status(204).end();
+});
+
 // Uncaught exception - simulates unhandled errors
 // GET /debug/error
 router.get('/error', (req, res) => {
@@ -1,104 +1,86 @@
 // Health monitoring endpoints
 // These are crucial for Railway's health checks and monitoring
+// Dependency results come from the background checks in healthChecks.js, so probes are cheap
 const express = require('express');
 const db = require('../db');
-const fetch = require('node-fetch');
-const config = require('../config');
+const healthChecks = require('../healthChecks');
 
 const router = express.Router();
 
 // Basic health check - fast response for load balancers
+// Same answer as /health/ready, so an existing Railway healthcheck path of /health keeps working
 // GET /health
-router.get('/', async (req, res) => {
-  res.json({
-    status: 'healthy',
+router.get('/', (req, res) => {
+  const problems = healthChecks.readinessProblems();
+  res.status(problems.length ? 503 : 200).json({
+    status: problems.length ? 'unhealthy' : 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    ...(problems.length && { problems }),
   });
 });
 
-// Full health check - includes dependencies
-// GET /health/full
-router.get('/full', async (req, res) => {
-  const healthStatus = {
-    status: 'healthy',
+// Liveness - the process is up and its event loop is answering; restart it if this fails
+// Stays 200 while shutting down, so the drain isn't cut short
+// GET /health/live
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'alive',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    checks: {
-      database: 'unknown',
-      externalApi: 'unknown',
-    },
-  };
-
-  // Check database connection
-  try {
-    const dbResult = await db.query('SELECT 1 as health_check');
-    healthStatus.checks.database = dbResult.rows.length > 0 ? 'healthy' : 'unhealthy';
-  } catch (err) {
-    console.error('[HEALTH] Database check failed:', err.message);
-    healthStatus.checks.database = 'unhealthy';
-    healthStatus.status = 'degraded';
-  }
-
-  // Check external API (with timeout)
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-
-    const response = await fetch(`${config.externalApiUrl}/status/200`, {
-      signal: controller.signal,
-    });
+  });
+});
 
-    clearTimeout(timeout);
-    healthStatus.checks.externalApi = response.ok ? 'healthy' : 'unhealthy';
-  } catch (err) {
-    console.error('[HEALTH] External API check failed:', err.message);
-    healthStatus.checks.externalApi = 'unhealthy';
-    // External API being down doesn't make us unhealthy
-  }
+// Readiness - send traffic here? 503 while starting, after SIGTERM, or while a critical dependency is failing
+// GET /health/ready
+router.get('/ready', (req, res) => {
+  const problems = healthChecks.readinessProblems();
+  res.status(problems.length ? 503 : 200).json({
+    status: problems.length ? 'not_ready' : 'ready',
+    timestamp: new Date().toISOString(),
+    problems,
+  });
+});
 
-  const statusCode = healthStatus.status === 'healthy' ? 200 : 503;
-  res.status(statusCode).json(healthStatus);
+// Startup - 503 until migrations are checked, the server is listening and the first round of checks is done
+// GET /health/startup
+router.get('/startup', (req, res) => {
+  const { started, startedAt } = healthChecks.lifecycle;
+  res.status(started ? 200 : 503).json({
+    status: started ? 'started' : 'starting',
+    timestamp: new Date().toISOString(),
+    started_at: startedAt,
+    uptime: process.uptime(),
+  });
 });
 
-// Metrics endpoint - useful for monitoring
-// GET /metrics
-router.get('/metrics', async (req, res) => {
-  try {
-    // Get ticket statistics
-    const statsResult = await db.query(`
-      SELECT
-        COUNT(*) as total_tickets,
-        COUNT(CASE WHEN status = 'open' THEN 1 END) as open_tickets,
-        COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved_tickets,
-        AVG(resolution_time) as avg_resolution_time_minutes,
-        MAX(created_at) as last_ticket_created
-      FROM support_tickets
-    `);
+// Full health check - every dependency with latency and last success, plus connection usage
+// GET /health/full
+router.get('/full', (req, res) => {
+  const dependencies = healthChecks.getResults();
+  const problems = healthChecks.readinessProblems();
+  const { shuttingDown, shutdownAt } = healthChecks.lifecycle;
 
-    const stats = statsResult.rows[0];
+  let status = 'healthy';
+  if (shuttingDown) status = 'shutting_down';
+  else if (problems.length) status = 'degraded';
 
-    res.json({
-      timestamp: new Date().toISOString(),
-      uptime_seconds: Math.floor(process.uptime()),
-      memory: {
-        used_mb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-        total_mb: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
-      },
-      tickets: {
-        total: parseInt(stats.total_tickets),
-        open: parseInt(stats.open_tickets),
-        resolved: parseInt(stats.resolved_tickets),
-        avg_resolution_time_minutes: stats.avg_resolution_time_minutes
-          ? parseFloat(stats.avg_resolution_time_minutes).toFixed(2)
-          : null,
-        last_created: stats.last_ticket_created,
-      },
-    });
-  } catch (err) {
-    console.error('[METRICS] Failed to fetch metrics:', err.message);
-    res.status(500).json({ error: 'Failed to fetch metrics' });
-  }
+  res.status(status === 'healthy' ? 200 : 503).json({
+    status,
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    ...(shuttingDown && { shutdown_at: shutdownAt }),
+    problems,
+    checks: Object.fromEntries(Object.entries(dependencies).map(([name, result]) => [name, result.status])),
+    dependencies,
+    // Pool and server connection usage - "remaining connection slots are reserved" shows up here first
+    // (server numbers are from the last database check)
+    database: {
+      pool: db.poolStats(),
+      server: dependencies.database.details,
+      replica: db.replicaStatus(),
+    },
+  });
 });
 
 module.exports = router;
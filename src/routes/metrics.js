@@ -0,0 +1,150 @@
+// Metrics endpoint - Prometheus text format by default, the JSON summary for Accept: application/json
+const express = require('express');
+const db = require('../db');
+const metrics = require('../metrics');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// Ticket totals and SLA attainment (read from the replica when one is configured)
+async function loadTicketStats() {
+  const statsResult = await db.query(`
+    SELECT
+      COUNT(*) as total_tickets,
+      COUNT(CASE WHEN status = 'open' THEN 1 END) as open_tickets,
+      COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved_tickets,
+      AVG(resolution_time) as avg_resolution_time_minutes,
+      MAX(created_at) as last_ticket_created
+    FROM support_tickets
+    WHERE deleted_at IS NULL
+  `, [], { intent: 'read' });
+
+  // SLA attainment - share of completed targets that were met, plus open tickets already breached
+  const slaResult = await db.query(`
+    SELECT
+      COUNT(t.first_response_at) as responded,
+      COUNT(CASE WHEN t.first_response_at <= t.created_at + p.first_response_minutes * INTERVAL '1 minute' THEN 1 END) as responded_within_sla,
+      COUNT(t.resolved_at) as resolved,
+      COUNT(CASE WHEN t.resolved_at <= t.created_at + p.resolution_minutes * INTERVAL '1 minute' THEN 1 END) as resolved_within_sla,
+      COUNT(CASE WHEN t.status <> 'resolved' AND (
+        (t.first_response_at IS NULL AND NOW() > t.created_at + p.first_response_minutes * INTERVAL '1 minute')
+        OR NOW() > t.created_at + p.resolution_minutes * INTERVAL '1 minute'
+      ) THEN 1 END) as open_breached
+    FROM support_tickets t
+    JOIN sla_policies p ON p.severity = t.severity
+    WHERE t.deleted_at IS NULL
+  `, [], { intent: 'read' });
+
+  return { stats: statsResult.rows[0], slaStats: slaResult.rows[0] };
+}
+
+// Share of met targets as a 0-1 ratio, null when nothing has completed yet
+const attainment = (met, total) => (parseInt(total) > 0 ? parseInt(met) / parseInt(total) : null);
+
+async function sendJson(res) {
+  const { stats, slaStats } = await loadTicketStats();
+  const percent = (met, total) => {
+    const ratio = attainment(met, total);
+    return ratio === null ? null : parseFloat((ratio * 100).toFixed(2));
+  };
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    uptime_seconds: Math.floor(process.uptime()),
+    memory: {
+      used_mb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+      total_mb: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
+    },
+    tickets: {
+      total: parseInt(stats.total_tickets),
+      open: parseInt(stats.open_tickets),
+      resolved: parseInt(stats.resolved_tickets),
+      avg_resolution_time_minutes: stats.avg_resolution_time_minutes
+        ? parseFloat(stats.avg_resolution_time_minutes).toFixed(2)
+        : null,
+      last_created: stats.last_ticket_created,
+    },
+    sla: {
+      first_response_attainment_percent: percent(slaStats.responded_within_sla, slaStats.responded),
+      resolution_attainment_percent: percent(slaStats.resolved_within_sla, slaStats.resolved),
+      open_breached: parseInt(slaStats.open_breached),
+    },
+    database: await db.connectionStats(),
+  });
+}
+
+// Process, HTTP and pool metrics always render; the ticket gauges are skipped (and
+// support_tickets_scrape_success drops to 0) when the database can't be queried
+async function sendPrometheus(res) {
+  const out = metrics.collect();
+
+  let tickets = null;
+  try {
+    const [byStatus, { stats, slaStats }] = await Promise.all([
+      db.query('SELECT status, COUNT(*)::int AS count FROM support_tickets WHERE deleted_at IS NULL GROUP BY status', [], { intent: 'read' }),
+      loadTicketStats(),
+    ]);
+    tickets = { byStatus: byStatus.rows, stats, slaStats };
+  } catch (err) {
+    console.error('[METRICS] Failed to fetch ticket metrics:', err.message);
+  }
+
+  out.gauge('support_tickets_scrape_success', 'Whether the ticket gauges below could be read', tickets !== null);
+
+  if (tickets) {
+    const { byStatus, stats, slaStats } = tickets;
+    out
+      .family('support_tickets', 'gauge', 'Tickets by status', byStatus.map((row) => [{ status: row.status }, row.count]))
+      .gauge('support_tickets_sla_open_breached', 'Unresolved tickets past an SLA target', parseInt(slaStats.open_breached));
+
+    const ratios = [
+      ['first_response', attainment(slaStats.responded_within_sla, slaStats.responded)],
+      ['resolution', attainment(slaStats.resolved_within_sla, slaStats.resolved)],
+    ].filter(([, ratio]) => ratio !== null);
+    out.family(
+      'support_tickets_sla_attainment_ratio',
+      'gauge',
+      'Share of completed SLA targets that were met',
+      ratios.map(([target, ratio]) => [{ target }, ratio])
+    );
+
+    if (stats.avg_resolution_time_minutes !== null) {
+      out.gauge(
+        'support_tickets_resolution_seconds_avg',
+        'Mean time to resolve a ticket',
+        parseFloat(stats.avg_resolution_time_minutes) * 60
+      );
+    }
+    if (stats.last_ticket_created) {
+      out.gauge(
+        'support_tickets_last_created_timestamp_seconds',
+        'When the newest ticket was created',
+        Math.floor(new Date(stats.last_ticket_created).getTime() / 1000)
+      );
+    }
+  }
+
+  res.set('Content-Type', metrics.CONTENT_TYPE).send(out.toString());
+}
+
+// Metrics endpoint - useful for monitoring
+// GET /metrics                                  Prometheus text format (point the scraper here)
+// GET /metrics  (Accept: application/json)      ticket, SLA, memory and connection summary
+router.get('/', async (req, res) => {
+  // */* (curl, Prometheus' fallback) gets the text format
+  const format = req.accepts(['text/plain', 'application/json']);
+  res.vary('Accept');
+
+  try {
+    if (format === 'application/json') {
+      await sendJson(res);
+    } else {
+      await sendPrometheus(res);
+    }
+  } catch (err) {
+    console.error('[METRICS] Failed to fetch metrics:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to fetch metrics');
+  }
+});
+
+module.exports = router;
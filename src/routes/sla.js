@@ -0,0 +1,122 @@
+// SLA policies and breach monitoring
+// Per-severity first-response and resolution targets
+const express = require('express');
+const db = require('../db');
+const sla = require('../sla');
+const workflow = require('../workflow');
+const { validateRequest } = require('../validation');
+const { sendError, sendFieldError } = require('../errors');
+
+const router = express.Router();
+
+const POLICY_PARAMS = {
+  severity: { type: 'string', enum: workflow.SEVERITIES },
+};
+
+const POLICY_SCHEMA = {
+  first_response_minutes: { type: 'integer', required: true, min: 1 },
+  resolution_minutes: { type: 'integer', required: true, min: 1 },
+};
+
+// Unresolved tickets that have breached or are about to breach an SLA target
+// GET /api/tickets/sla
+router.get('/', validateRequest({ query: {} }), async (req, res) => {
+  try {
+    const policies = await sla.loadPolicies();
+
+    // Pre-filter in SQL to tickets past the at-risk point of either target
+    const result = await db.query(
+      `SELECT t.*
+       FROM support_tickets t
+       JOIN sla_policies p ON p.severity = t.severity
+       WHERE t.status <> 'resolved'
+         AND t.deleted_at IS NULL
+         AND (
+           (t.first_response_at IS NULL
+             AND NOW() >= t.created_at + p.first_response_minutes * (1 - $1::float) * INTERVAL '1 minute')
+           OR NOW() >= t.created_at + p.resolution_minutes * (1 - $1::float) * INTERVAL '1 minute'
+         )
+       ORDER BY t.created_at ASC`,
+      [sla.AT_RISK_RATIO]
+    );
+
+    const breached = [];
+    const atRisk = [];
+
+    for (const row of result.rows) {
+      const { search_vector, ...ticket } = row;
+      ticket.sla = sla.computeSla(ticket, policies);
+
+      if (ticket.sla.first_response_breached || ticket.sla.resolution_breached) {
+        breached.push(ticket);
+      } else if (ticket.sla.at_risk) {
+        atRisk.push(ticket);
+      }
+    }
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      breached_count: breached.length,
+      at_risk_count: atRisk.length,
+      breached,
+      at_risk: atRisk,
+    });
+  } catch (err) {
+    console.error('[SLA] Failed to get SLA report:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to get SLA report');
+  }
+});
+
+// List SLA policies
+// GET /api/tickets/sla/policies
+router.get('/policies', validateRequest({ query: {} }), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT * FROM sla_policies
+       ORDER BY array_position(ARRAY['low', 'medium', 'high', 'critical']::varchar[], severity)`
+    );
+
+    res.json({
+      policies: result.rows,
+    });
+  } catch (err) {
+    console.error('[SLA] Failed to list policies:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list SLA policies');
+  }
+});
+
+// Update the targets for one severity
+// PUT /api/tickets/sla/policies/:severity
+router.put('/policies/:severity', validateRequest({ params: POLICY_PARAMS, body: POLICY_SCHEMA }), async (req, res) => {
+  try {
+    const { severity } = req.params;
+    const { first_response_minutes, resolution_minutes } = req.body;
+
+    if (first_response_minutes > resolution_minutes) {
+      return sendFieldError(
+        res,
+        'first_response_minutes',
+        'first_response_minutes cannot be longer than resolution_minutes'
+      );
+    }
+
+    const result = await db.query(
+      `INSERT INTO sla_policies (severity, first_response_minutes, resolution_minutes)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (severity) DO UPDATE
+       SET first_response_minutes = EXCLUDED.first_response_minutes,
+           resolution_minutes = EXCLUDED.resolution_minutes,
+           updated_at = NOW()
+       RETURNING *`,
+      [severity, first_response_minutes, resolution_minutes]
+    );
+
+    console.log(`[SLA] Updated ${severity} policy: ${first_response_minutes}m response, ${resolution_minutes}m resolution`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('[SLA] Failed to update policy:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to update SLA policy');
+  }
+});
+
+module.exports = router;
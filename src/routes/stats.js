@@ -0,0 +1,246 @@
+// Ticket statistics and trends
+// Opened-vs-resolved series, resolution time percentiles, backlog age and breakdowns
+const express = require('express');
+const db = require('../db');
+const agents = require('../agents');
+const { validateRequest } = require('../validation');
+const { sendError, sendFieldError } = require('../errors');
+
+const router = express.Router();
+
+// Series bucket size -> default look-back when no range is given
+const INTERVALS = {
+  day: 30,
+  week: 7 * 12,
+};
+
+const STATS_QUERY_SCHEMA = {
+  interval: { type: 'string', enum: Object.keys(INTERVALS), default: 'day' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+};
+
+const MAX_BUCKETS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only the busiest customers are broken down individually
+const MAX_CUSTOMERS = 25;
+
+// Age buckets for unresolved tickets, youngest first (upper bound in hours, exclusive)
+const BACKLOG_BUCKETS = [
+  { bucket: 'under_1_day', max_hours: 24 },
+  { bucket: '1_to_3_days', max_hours: 72 },
+  { bucket: '3_to_7_days', max_hours: 168 },
+  { bucket: '7_to_30_days', max_hours: 720 },
+  { bucket: 'over_30_days', max_hours: null },
+];
+
+const backlogBucketSql = `CASE ${BACKLOG_BUCKETS.filter((b) => b.max_hours)
+  .map((b) => `WHEN NOW() - created_at < INTERVAL '${b.max_hours} hours' THEN '${b.bucket}'`)
+  .join(' ')} ELSE '${BACKLOG_BUCKETS[BACKLOG_BUCKETS.length - 1].bucket}' END`;
+
+// Minutes as a number rounded to 2 decimals (AVG and percentiles come back as strings or floats)
+function toMinutes(value) {
+  return value === null ? null : parseFloat(parseFloat(value).toFixed(2));
+}
+
+// Resolve the (already validated) ?interval, ?from and ?to into a range
+// Returns { interval, from, to } or { error, field }
+function parseRange({ interval, from, to }) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - INTERVALS[interval] * DAY_MS);
+
+  if (start >= end) {
+    return { error: 'from must be before to', field: 'from' };
+  }
+
+  const bucketDays = interval === 'week' ? 7 : 1;
+  if ((end - start) / (bucketDays * DAY_MS) > MAX_BUCKETS) {
+    return { error: `Range is limited to ${MAX_BUCKETS} ${interval}s`, field: 'from' };
+  }
+
+  return { interval, from: start.toISOString(), to: end.toISOString() };
+}
+
+// Get aggregated statistics
+// GET /api/tickets/stats
+// GET /api/tickets/stats?interval=week&from=2024-01-01&to=2024-04-01
+// The series, percentiles and resolved counts cover the range; backlog and open counts are current
+// (as of the read replica, when one is configured)
+router.get('/', validateRequest({ query: STATS_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return sendFieldError(res, range.field, range.error);
+    }
+
+    const { interval, from, to } = range;
+
+    const result = await db.query(`
+      SELECT
+        status,
+        severity,
+        COUNT(*) as count,
+        AVG(resolution_time) as avg_resolution_time
+      FROM support_tickets
+      WHERE deleted_at IS NULL
+      GROUP BY status, severity
+      ORDER BY status, severity
+    `, [], { intent: 'read' });
+
+    // Opened vs resolved per bucket; buckets start at the beginning of the day/week (weeks start Monday)
+    const series = await db.query(
+      `WITH buckets AS (
+         SELECT generate_series(
+           date_trunc($1, $2::timestamptz),
+           $3::timestamptz,
+           ('1 ' || $1)::interval
+         ) AS bucket
+       ),
+       opened AS (
+         SELECT date_trunc($1, created_at::timestamptz) AS bucket, COUNT(*) AS count
+         FROM support_tickets
+         WHERE deleted_at IS NULL
+           AND created_at >= date_trunc($1, $2::timestamptz) AND created_at < $3::timestamptz
+         GROUP BY 1
+       ),
+       resolved AS (
+         SELECT date_trunc($1, resolved_at::timestamptz) AS bucket, COUNT(*) AS count
+         FROM support_tickets
+         WHERE deleted_at IS NULL
+           AND resolved_at >= date_trunc($1, $2::timestamptz) AND resolved_at < $3::timestamptz
+         GROUP BY 1
+       )
+       SELECT b.bucket, COALESCE(o.count, 0) AS opened, COALESCE(r.count, 0) AS resolved
+       FROM buckets b
+       LEFT JOIN opened o ON o.bucket = b.bucket
+       LEFT JOIN resolved r ON r.bucket = b.bucket
+       ORDER BY b.bucket`,
+      [interval, from, to],
+      { intent: 'read' }
+    );
+
+    // Resolution time percentiles (minutes) for tickets resolved in the range
+    const resolution = await db.query(
+      `SELECT
+         COUNT(*) AS resolved,
+         AVG(resolution_time) AS avg,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY resolution_time) AS p50,
+         percentile_cont(0.9) WITHIN GROUP (ORDER BY resolution_time) AS p90,
+         percentile_cont(0.99) WITHIN GROUP (ORDER BY resolution_time) AS p99,
+         MAX(resolution_time) AS max
+       FROM support_tickets
+       WHERE deleted_at IS NULL
+         AND status = 'resolved'
+         AND resolution_time IS NOT NULL
+         AND resolved_at >= $1::timestamptz AND resolved_at < $2::timestamptz`,
+      [from, to],
+      { intent: 'read' }
+    );
+
+    // Unresolved tickets by age
+    const backlog = await db.query(`
+      SELECT ${backlogBucketSql} AS bucket, COUNT(*) AS count
+      FROM support_tickets
+      WHERE deleted_at IS NULL AND status <> 'resolved'
+      GROUP BY 1
+    `, [], { intent: 'read' });
+
+    // Per assignee: current open load plus what they resolved in the range
+    const byAssignee = await db.query(
+      `SELECT
+         assigned_to,
+         COUNT(*) FILTER (WHERE status <> 'resolved') AS open_tickets,
+         COUNT(*) FILTER (WHERE resolved_at >= $1::timestamptz AND resolved_at < $2::timestamptz) AS resolved,
+         AVG(resolution_time) FILTER (WHERE resolved_at >= $1::timestamptz AND resolved_at < $2::timestamptz)
+           AS avg_resolution_time
+       FROM support_tickets
+       WHERE deleted_at IS NULL
+       GROUP BY assigned_to
+       ORDER BY open_tickets DESC, assigned_to NULLS LAST`,
+      [from, to],
+      { intent: 'read' }
+    );
+
+    // Per customer, busiest first
+    const byCustomer = await db.query(
+      `SELECT
+         c.id AS customer_id,
+         c.name,
+         c.plan,
+         COUNT(t.id) FILTER (WHERE t.status <> 'resolved') AS open_tickets,
+         COUNT(t.id) FILTER (WHERE t.created_at >= $1::timestamptz AND t.created_at < $2::timestamptz) AS opened,
+         COUNT(t.id) FILTER (WHERE t.resolved_at >= $1::timestamptz AND t.resolved_at < $2::timestamptz) AS resolved,
+         AVG(t.resolution_time) FILTER (WHERE t.resolved_at >= $1::timestamptz AND t.resolved_at < $2::timestamptz)
+           AS avg_resolution_time
+       FROM customers c
+       JOIN support_tickets t ON t.customer_id = c.id AND t.deleted_at IS NULL
+       GROUP BY c.id
+       ORDER BY open_tickets DESC, opened DESC, c.id
+       LIMIT $3`,
+      [from, to, MAX_CUSTOMERS],
+      { intent: 'read' }
+    );
+
+    // Ticket counts per tag, most used first
+    const tagCounts = await db.query(`
+      SELECT
+        tg.name,
+        COUNT(t.id) as count,
+        COUNT(t.id) FILTER (WHERE t.status <> 'resolved') as open_count
+      FROM tags tg
+      LEFT JOIN ticket_tags tt ON tt.tag_id = tg.id
+      LEFT JOIN support_tickets t ON t.id = tt.ticket_id AND t.deleted_at IS NULL
+      GROUP BY tg.id
+      ORDER BY count DESC, tg.name
+    `, [], { intent: 'read' });
+
+    const backlogCounts = Object.fromEntries(backlog.rows.map((row) => [row.bucket, parseInt(row.count)]));
+    const percentiles = resolution.rows[0];
+
+    res.json({
+      range: { interval, from, to },
+      statistics: result.rows,
+      series: series.rows.map((row) => ({
+        bucket: row.bucket,
+        opened: parseInt(row.opened),
+        resolved: parseInt(row.resolved),
+      })),
+      resolution_time_minutes: {
+        resolved: parseInt(percentiles.resolved),
+        avg: toMinutes(percentiles.avg),
+        p50: toMinutes(percentiles.p50),
+        p90: toMinutes(percentiles.p90),
+        p99: toMinutes(percentiles.p99),
+        max: percentiles.max,
+      },
+      backlog: BACKLOG_BUCKETS.map(({ bucket }) => ({ bucket, count: backlogCounts[bucket] || 0 })),
+      by_assignee: byAssignee.rows.map((row) => ({
+        assigned_to: row.assigned_to,
+        open_tickets: parseInt(row.open_tickets),
+        resolved: parseInt(row.resolved),
+        avg_resolution_time_minutes: toMinutes(row.avg_resolution_time),
+      })),
+      by_customer: byCustomer.rows.map((row) => ({
+        customer_id: row.customer_id,
+        name: row.name,
+        plan: row.plan,
+        open_tickets: parseInt(row.open_tickets),
+        opened: parseInt(row.opened),
+        resolved: parseInt(row.resolved),
+        avg_resolution_time_minutes: toMinutes(row.avg_resolution_time),
+      })),
+      workload: await agents.getWorkload(db),
+      tags: tagCounts.rows.map((row) => ({
+        name: row.name,
+        count: parseInt(row.count),
+        open_count: parseInt(row.open_count),
+      })),
+    });
+  } catch (err) {
+    console.error('[STATS] Failed to get stats:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to get statistics');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@
 const express = require('express');
 const fetch = require('node-fetch');
 const config = require('../config');
+const { validateRequest } = require('../validation');
+const { sendError } = require('../errors');
 
 const router = express.Router();
 
@@ -19,7 +21,7 @@ function addToHistory(entry) {
 
 // Check external service status
 // GET /api/status
-router.get('/', async (req, res) => {
+router.get('/', validateRequest({ query: {} }), async (req, res) => {
   const start = Date.now();
 
   try {
@@ -65,22 +67,31 @@ router.get('/', async (req, res) => {
     });
 
     console.error(`[STATUS] External API failed: ${errorData.error} (${duration}ms)`);
-    res.status(503).json(errorData);
+    sendError(res, 503, 'upstream_unavailable', errorData.error, {
+      responseTime: errorData.responseTime,
+      timestamp: errorData.timestamp,
+      endpoint: errorData.endpoint,
+    });
   }
 });
 
 // Get API call history
 // GET /api/status/history
-router.get('/history', async (req, res) => {
+router.get('/history', validateRequest({ query: {} }), async (req, res) => {
   res.json({
     count: apiHistory.length,
     history: apiHistory,
   });
 });
 
+const NOTIFY_SCHEMA = {
+  params: { ticketId: { type: 'integer', min: 1 } },
+  body: { message: { type: 'string', maxLength: 1000 } },
+};
+
 // Send ticket update to external webhook
 // POST /api/status/notify/:ticketId
-router.post('/notify/:ticketId', async (req, res) => {
+router.post('/notify/:ticketId', validateRequest(NOTIFY_SCHEMA), async (req, res) => {
   const { ticketId } = req.params;
   const { message } = req.body;
 
@@ -118,23 +129,21 @@ router.post('/notify/:ticketId', async (req, res) => {
     });
   } catch (err) {
     console.error(`[STATUS] Notification failed for ticket #${ticketId}:`, err.message);
-    res.status(502).json({
-      success: false,
-      error: err.name === 'AbortError' ? 'Webhook timeout' : err.message,
+    sendError(res, 502, 'upstream_failed', err.name === 'AbortError' ? 'Webhook timeout' : err.message, {
       ticketId,
     });
   }
 });
 
+const STATUS_TEST_SCHEMA = {
+  params: { code: { type: 'integer', min: 100, max: 599 } },
+  query: {},
+};
+
 // Test different HTTP status codes
 // GET /api/status/test/:code
-router.get('/test/:code', async (req, res) => {
-  const { code } = req.params;
-  const statusCode = parseInt(code);
-
-  if (statusCode < 100 || statusCode > 599) {
-    return res.status(400).json({ error: 'Invalid status code' });
-  }
+router.get('/test/:code', validateRequest(STATUS_TEST_SCHEMA), async (req, res) => {
+  const statusCode = req.params.code;
 
   try {
     const response = await fetch(`${config.externalApiUrl}/status/${statusCode}`);
@@ -147,7 +156,7 @@ router.get('/test/:code', async (req, res) => {
     });
   } catch (err) {
     console.error(`[STATUS] Test request failed:`, err.message);
-    res.status(500).json({ error: err.message });
+    sendError(res, 500, 'upstream_failed', err.message);
   }
 });
 
@@ -1,42 +1,15 @@
 const express = require('express');
-const { S3Client, ListObjectsV2Command, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadBucketCommand } = require('@aws-sdk/client-s3');
+const { ListObjectsV2Command, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadBucketCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const config = require('../config');
+const { s3Client, requireS3 } = require('../s3');
+const { validateRequest } = require('../validation');
+const { sendError } = require('../errors');
 
 const router = express.Router();
 
-// Initialize S3 Client
-// Only initialize if credentials are present to avoid startup crashes if not configured
-let s3Client = null;
-
-if (config.s3.accessKeyId && config.s3.secretAccessKey && config.s3.bucketName) {
-    s3Client = new S3Client({
-        region: config.s3.region,
-        endpoint: config.s3.endpoint,
-        credentials: {
-            accessKeyId: config.s3.accessKeyId,
-            secretAccessKey: config.s3.secretAccessKey,
-        },
-        forcePathStyle: true, // Required for some S3 compatible providers
-    });
-    console.log('[STORAGE] S3 Client initialized');
-} else {
-    console.warn('[STORAGE] S3 credentials missing, storage endpoints will be disabled');
-}
-
-// Middleware to check if S3 is configured
-const requireS3 = (req, res, next) => {
-    if (!s3Client) {
-        return res.status(503).json({
-            error: 'Service Unavailable',
-            message: 'S3 storage is not configured. Please check environment variables.',
-        });
-    }
-    next();
-};
-
 // GET /api/storage/test-connection - Test S3 connection
-router.get('/test-connection', requireS3, async (req, res) => {
+router.get('/test-connection', validateRequest({ query: {} }), requireS3, async (req, res) => {
     try {
         const command = new HeadBucketCommand({ Bucket: config.s3.bucketName });
         await s3Client.send(command);
@@ -47,15 +20,12 @@ router.get('/test-connection', requireS3, async (req, res) => {
         });
     } catch (error) {
         console.error('[STORAGE] Connection test failed:', error);
-        res.status(500).json({
-            error: 'Connection Failed',
-            message: error.message,
-        });
+        sendError(res, 500, 'storage_error', `Connection failed: ${error.message}`);
     }
 });
 
 // GET /api/storage/files - List files in bucket
-router.get('/files', requireS3, async (req, res) => {
+router.get('/files', validateRequest({ query: {} }), requireS3, async (req, res) => {
     try {
         const command = new ListObjectsV2Command({
             Bucket: config.s3.bucketName,
@@ -76,24 +46,24 @@ router.get('/files', requireS3, async (req, res) => {
         });
     } catch (error) {
         console.error('[STORAGE] List files failed:', error);
-        res.status(500).json({
-            error: 'List Failed',
-            message: error.message,
-        });
+        sendError(res, 500, 'storage_error', `List failed: ${error.message}`);
     }
 });
 
+const UPLOAD_SCHEMA = {
+    filename: { type: 'string', required: true, maxLength: 1024 },
+    content: { type: 'string', required: true },
+};
+
+// Object keys arrive as a single path segment
+const KEY_PARAMS = {
+    key: { type: 'string', required: true, maxLength: 1024 },
+};
+
 // POST /api/storage/files - Upload a text file
-router.post('/files', requireS3, async (req, res) => {
+router.post('/files', validateRequest({ body: UPLOAD_SCHEMA }), requireS3, async (req, res) => {
     const { filename, content } = req.body;
 
-    if (!filename || !content) {
-        return res.status(400).json({
-            error: 'Bad Request',
-            message: 'filename and content are required',
-        });
-    }
-
     try {
         const command = new PutObjectCommand({
             Bucket: config.s3.bucketName,
@@ -114,15 +84,12 @@ router.post('/files', requireS3, async (req, res) => {
         });
     } catch (error) {
         console.error('[STORAGE] Upload failed:', error);
-        res.status(500).json({
-            error: 'Upload Failed',
-            message: error.message,
-        });
+        sendError(res, 500, 'storage_error', `Upload failed: ${error.message}`);
     }
 });
 
 // GET /api/storage/files/:key - Get file content (text only for this demo)
-router.get('/files/:key', requireS3, async (req, res) => {
+router.get('/files/:key', validateRequest({ params: KEY_PARAMS, query: {} }), requireS3, async (req, res) => {
     try {
         const command = new GetObjectCommand({
             Bucket: config.s3.bucketName,
@@ -143,20 +110,14 @@ router.get('/files/:key', requireS3, async (req, res) => {
     } catch (error) {
         console.error('[STORAGE] Get file failed:', error);
         if (error.name === 'NoSuchKey') {
-            return res.status(404).json({
-                error: 'Not Found',
-                message: 'File not found',
-            });
+            return sendError(res, 404, 'not_found', 'File not found');
         }
-        res.status(500).json({
-            error: 'Get Failed',
-            message: error.message,
-        });
+        sendError(res, 500, 'storage_error', `Get failed: ${error.message}`);
     }
 });
 
 // DELETE /api/storage/files/:key - Delete a file
-router.delete('/files/:key', requireS3, async (req, res) => {
+router.delete('/files/:key', validateRequest({ params: KEY_PARAMS, query: {} }), requireS3, async (req, res) => {
     try {
         const command = new DeleteObjectCommand({
             Bucket: config.s3.bucketName,
@@ -172,10 +133,7 @@ router.delete('/files/:key', requireS3, async (req, res) => {
         });
     } catch (error) {
         console.error('[STORAGE] Delete failed:', error);
-        res.status(500).json({
-            error: 'Delete Failed',
-            message: error.message,
-        });
+        sendError(res, 500, 'storage_error', `Delete failed: ${error.message}`);
     }
 });
 
@@ -0,0 +1,137 @@
+// Live ticket events over Server-Sent Events
+// Replaces polling GET /api/tickets: created, updated and commented events are pushed as they happen
+const express = require('express');
+const stream = require('../stream');
+const { FILTER_SCHEMA } = require('../filters');
+const { validateRequest } = require('../validation');
+const { sendError, sendFieldError } = require('../errors');
+
+const router = express.Router();
+
+// Railway's proxy drops connections that stay silent for too long; a comment line every
+// 15 seconds keeps an idle stream open
+const HEARTBEAT_MS = 15000;
+
+// How long EventSource waits before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+const EVENT_ID_PATTERN = /^\d+$/;
+
+// The status / severity / assigned_to filters (same rules as GET /api/tickets) and the resume point
+const STREAM_QUERY_SCHEMA = {
+  status: FILTER_SCHEMA.status,
+  severity: FILTER_SCHEMA.severity,
+  assigned_to: FILTER_SCHEMA.assigned_to,
+  last_event_id: {
+    type: 'string',
+    check: (value) => (EVENT_ID_PATTERN.test(value) ? null : 'last_event_id must be an event id'),
+  },
+};
+
+// An event matches when the ticket matches the filters now or did before the change,
+// so clients also hear about tickets leaving their view (e.g. resolved, reassigned)
+function matches(event, filters) {
+  const states = [event.ticket, event.previous].filter(Boolean);
+  return states.some((state) =>
+    Object.entries(filters).every(([field, value]) => !value || state[field] === value)
+  );
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Subscribe to ticket events
+// GET /api/tickets/stream?status=open&severity=critical&assigned_to=Sarah%20Chen
+// Reconnects resume after the Last-Event-ID header (or ?last_event_id=)
+router.get('/', validateRequest({ query: STREAM_QUERY_SCHEMA }), async (req, res) => {
+  const { status, severity, assigned_to } = req.query;
+  const filters = { status, severity, assigned_to };
+
+  const header = req.get('Last-Event-ID');
+  if (header !== undefined && !EVENT_ID_PATTERN.test(header)) {
+    return sendFieldError(res, 'Last-Event-ID', 'Last-Event-ID must be an event id');
+  }
+  const lastEventId = header || req.query.last_event_id;
+
+  // Live events that arrive while the backlog is being replayed wait here
+  let backlog = [];
+
+  const send = (event) => {
+    if (!matches(event, filters)) return;
+    if (backlog) {
+      backlog.push(event);
+    } else {
+      res.write(formatEvent(event));
+    }
+  };
+
+  // Registered before subscribing: a client that disconnects while the subscription is being set up
+  // must not leave a listener behind
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    // Subscribe before replaying so nothing committed in between is missed
+    unsubscribe = await stream.subscribe({ send, close: () => res.end() });
+  } catch (err) {
+    console.error('[STREAM] Failed to start event stream:', err.message);
+    return sendError(res, 503, 'stream_unavailable', 'Event stream unavailable');
+  }
+
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  try {
+    const replayed = new Set();
+
+    if (lastEventId !== undefined) {
+      const { events, truncated } = await stream.replay(lastEventId);
+
+      // Too far behind to catch up event by event - tell the client to reload the list
+      if (truncated) {
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: `More than ${stream.REPLAY_LIMIT} missed events` })}\n\n`);
+      } else {
+        for (const event of events) {
+          replayed.add(event.id);
+          if (matches(event, filters)) {
+            res.write(formatEvent(event));
+          }
+        }
+      }
+    }
+
+    for (const event of backlog) {
+      if (!replayed.has(event.id)) {
+        res.write(formatEvent(event));
+      }
+    }
+  } catch (err) {
+    console.error('[STREAM] Failed to replay events:', err.message);
+    res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Failed to replay missed events' })}\n\n`);
+  } finally {
+    backlog = null;
+  }
+});
+
+module.exports = router;
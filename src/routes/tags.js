@@ -0,0 +1,181 @@
+// Tag management
+// Tickets are tagged via /api/tickets/:id/tags; this manages the tag list itself
+const express = require('express');
+const db = require('../db');
+const tags = require('../tags');
+const { ID_PARAMS, validateRequest } = require('../validation');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// Renaming or deleting a tag changes how its tickets look, so bump their versions
+// (in the same statement) to invalidate clients' ETags
+const TOUCH_TAGGED_TICKETS = `
+  WITH touched AS (
+    UPDATE support_tickets SET version = version + 1
+    WHERE id IN (SELECT ticket_id FROM ticket_tags WHERE tag_id = $1)
+  )`;
+
+// The editable tag fields; names are stored normalized (see tags.normalizeTagNames)
+const TAG_SCHEMA = {
+  name: { type: 'string', required: true, check: (value) => tags.normalizeTagNames([value]).error },
+  description: { type: 'string', nullable: true },
+};
+
+// PATCH takes either
+const UPDATE_TAG_SCHEMA = {
+  ...TAG_SCHEMA,
+  name: { ...TAG_SCHEMA.name, required: false, minLength: 1 },
+};
+
+const DUPLICATE_NAME_MESSAGE = 'A tag with that name already exists';
+
+const normalizeName = (name) => tags.normalizeTagNames([name]).names[0];
+
+// 23505 = unique_violation on the tag name
+function isDuplicateName(err) {
+  return err.code === '23505';
+}
+
+// List tags with how many tickets carry each one
+// GET /api/tags
+router.get('/', validateRequest({ query: {} }), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        tg.*,
+        COUNT(t.id) as ticket_count,
+        COUNT(t.id) FILTER (WHERE t.status <> 'resolved') as open_tickets
+      FROM tags tg
+      LEFT JOIN ticket_tags tt ON tt.tag_id = tg.id
+      LEFT JOIN support_tickets t ON t.id = tt.ticket_id AND t.deleted_at IS NULL
+      GROUP BY tg.id
+      ORDER BY tg.name
+    `);
+
+    const rows = result.rows.map((row) => ({
+      ...row,
+      ticket_count: parseInt(row.ticket_count),
+      open_tickets: parseInt(row.open_tickets),
+    }));
+
+    res.json({
+      count: rows.length,
+      tags: rows,
+    });
+  } catch (err) {
+    console.error('[TAGS] Failed to list tags:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list tags');
+  }
+});
+
+// Create new tag
+// POST /api/tags
+// {"name":"postgres","description":"Database connectivity and performance"}
+router.post('/', validateRequest({ body: TAG_SCHEMA }), async (req, res) => {
+  try {
+    const name = normalizeName(req.body.name);
+
+    const result = await db.query(
+      `INSERT INTO tags (name, description)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [name, req.body.description || null]
+    );
+
+    console.log(`[TAGS] Created tag #${result.rows[0].id}: ${name}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return sendError(res, 409, 'already_exists', DUPLICATE_NAME_MESSAGE);
+    }
+    console.error('[TAGS] Failed to create tag:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to create tag');
+  }
+});
+
+// Rename or describe a tag - tagged tickets follow the rename
+// PATCH /api/tags/:id
+router.patch('/:id', validateRequest({ params: ID_PARAMS, body: UPDATE_TAG_SCHEMA }), async (req, res) => {
+  try {
+    const { description } = req.body;
+    const name = req.body.name === undefined ? undefined : normalizeName(req.body.name);
+
+    // Build dynamic update query
+    const updates = [];
+    const params = [];
+    let paramCount = 2;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCount++}`);
+      params.push(name);
+    }
+
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      params.push(description);
+    }
+
+    if (updates.length === 0) {
+      return sendError(res, 400, 'validation_failed', 'No fields to update', {
+        details: Object.keys(UPDATE_TAG_SCHEMA).map((field) => ({
+          field,
+          code: 'required',
+          message: `Send at least one of: ${Object.keys(UPDATE_TAG_SCHEMA).join(', ')}`,
+        })),
+      });
+    }
+
+    params.unshift(req.params.id);
+
+    const result = await db.query(
+      `${name !== undefined ? TOUCH_TAGGED_TICKETS : ''}
+       UPDATE tags
+       SET ${updates.join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Tag not found');
+    }
+
+    console.log(`[TAGS] Updated tag #${req.params.id}`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return sendError(res, 409, 'already_exists', DUPLICATE_NAME_MESSAGE);
+    }
+    console.error('[TAGS] Failed to update tag:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to update tag');
+  }
+});
+
+// Delete tag - it is removed from every ticket
+// DELETE /api/tags/:id
+router.delete('/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const result = await db.query(
+      `${TOUCH_TAGGED_TICKETS}
+       DELETE FROM tags WHERE id = $1 RETURNING id, name`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Tag not found');
+    }
+
+    console.log(`[TAGS] Deleted tag #${req.params.id}: ${result.rows[0].name}`);
+    res.json({
+      status: 'success',
+      message: 'Tag deleted successfully',
+      id: result.rows[0].id,
+    });
+  } catch (err) {
+    console.error('[TAGS] Failed to delete tag:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to delete tag');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+// Tags on a single ticket
+// Changes are recorded in the ticket history like any other field
+const express = require('express');
+const db = require('../db');
+const tags = require('../tags');
+const { ID_PARAMS, validateRequest } = require('../validation');
+const { sendError } = require('../errors');
+
+// mergeParams exposes the parent :id from /api/tickets/:id/tags
+const router = express.Router({ mergeParams: true });
+
+// The { tags: [...] } body shared by POST and PUT
+const TAGS_SCHEMA = {
+  tags: {
+    type: ['array', 'string'],
+    required: true,
+    check: (value) => tags.normalizeTagNames(value).error,
+  },
+  actor: { type: 'string', maxLength: 100 },
+};
+
+const ACTOR_SCHEMA = {
+  actor: { type: 'string', maxLength: 100 },
+};
+
+const TAG_PARAMS = {
+  ...ID_PARAMS,
+  tag: { type: 'string', maxLength: 50 },
+};
+
+// Run a tag change in a transaction and record it as a "tags" history event
+// Returns the ticket's tags afterwards, or null when the ticket doesn't exist
+async function changeTags(ticketId, actor, change) {
+  return db.transaction(async (client) => {
+    // Lock the ticket so concurrent tag edits record the correct old value
+    const ticket = await client.query(
+      'SELECT id FROM support_tickets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [ticketId]
+    );
+
+    if (ticket.rows.length === 0) {
+      return db.rollback(null);
+    }
+
+    const before = await tags.getTicketTags(client, ticketId);
+    await change(client);
+    const after = await tags.getTicketTags(client, ticketId);
+
+    if (before.join(',') !== after.join(',')) {
+      await client.query(
+        `INSERT INTO ticket_events (ticket_id, field, old_value, new_value, actor)
+         VALUES ($1, 'tags', $2, $3, $4)`,
+        [ticketId, before.join(',') || null, after.join(',') || null, actor || null]
+      );
+      await client.query('UPDATE support_tickets SET updated_at = NOW() WHERE id = $1', [ticketId]);
+    }
+
+    return after;
+  }, { name: `tag change on ticket #${ticketId}` });
+}
+
+// List the tags on a ticket
+// GET /api/tickets/:id/tags
+router.get('/', validateRequest({ params: ID_PARAMS, query: {} }), async (req, res) => {
+  try {
+    const ticketId = req.params.id;
+
+    const ticket = await db.query(
+      'SELECT id FROM support_tickets WHERE id = $1 AND deleted_at IS NULL',
+      [ticketId]
+    );
+
+    if (ticket.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
+    }
+
+    res.json({
+      ticket_id: ticketId,
+      tags: await tags.getTicketTags(db, ticketId),
+    });
+  } catch (err) {
+    console.error('[TAGS] Failed to list ticket tags:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to list ticket tags');
+  }
+});
+
+// Add tags to a ticket (unknown tags are created)
+// POST /api/tickets/:id/tags
+// {"tags":["postgres","networking"]}
+router.post('/', validateRequest({ params: ID_PARAMS, body: TAGS_SCHEMA }), async (req, res) => {
+  try {
+    const { names } = tags.normalizeTagNames(req.body.tags);
+    const ticketId = req.params.id;
+    const result = await changeTags(ticketId, req.body.actor, (client) =>
+      tags.addTicketTags(client, ticketId, names)
+    );
+
+    if (!result) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
+    }
+
+    console.log(`[TAGS] Tagged ticket #${ticketId}: ${names.join(', ')}`);
+    res.json({ ticket_id: ticketId, tags: result });
+  } catch (err) {
+    console.error('[TAGS] Failed to tag ticket:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to tag ticket');
+  }
+});
+
+// Replace all tags on a ticket
+// PUT /api/tickets/:id/tags
+// {"tags":["build"]}
+router.put('/', validateRequest({ params: ID_PARAMS, body: TAGS_SCHEMA }), async (req, res) => {
+  try {
+    const { names } = tags.normalizeTagNames(req.body.tags);
+    const ticketId = req.params.id;
+    const result = await changeTags(ticketId, req.body.actor, async (client) => {
+      await client.query(
+        `DELETE FROM ticket_tags
+         WHERE ticket_id = $1
+           AND tag_id NOT IN (SELECT id FROM tags WHERE name = ANY($2::varchar[]))`,
+        [ticketId, names]
+      );
+      await tags.addTicketTags(client, ticketId, names);
+    });
+
+    if (!result) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
+    }
+
+    console.log(`[TAGS] Set tags on ticket #${ticketId}: ${names.join(', ') || '(none)'}`);
+    res.json({ ticket_id: ticketId, tags: result });
+  } catch (err) {
+    console.error('[TAGS] Failed to set ticket tags:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to set ticket tags');
+  }
+});
+
+// Remove one tag from a ticket
+// DELETE /api/tickets/:id/tags/:tag
+router.delete('/:tag', validateRequest({ params: TAG_PARAMS, query: ACTOR_SCHEMA }), async (req, res) => {
+  try {
+    const ticketId = req.params.id;
+    const name = req.params.tag.trim().toLowerCase();
+
+    const result = await changeTags(ticketId, req.query.actor, (client) =>
+      client.query(
+        `DELETE FROM ticket_tags
+         WHERE ticket_id = $1 AND tag_id = (SELECT id FROM tags WHERE name = $2)`,
+        [ticketId, name]
+      )
+    );
+
+    if (!result) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
+    }
+
+    console.log(`[TAGS] Removed tag ${name} from ticket #${ticketId}`);
+    res.json({ ticket_id: ticketId, tags: result });
+  } catch (err) {
+    console.error('[TAGS] Failed to remove ticket tag:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to remove ticket tag');
+  }
+});
+
+module.exports = router;
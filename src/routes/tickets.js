@@ -1,198 +1,930 @@
 // Ticket CRUD operations
 // Mirrors real support ticket workflows for realistic practice
 const express = require('express');
+const crypto = require('crypto');
 const db = require('../db');
+const workflow = require('../workflow');
+const sla = require('../sla');
+const agents = require('../agents');
+const tags = require('../tags');
+const duplicates = require('../duplicates');
+const archive = require('../archive');
+const { applyTicketChanges } = require('../ticketChanges');
+const config = require('../config');
+const { FILTER_SCHEMA, buildTicketFilters } = require('../filters');
+const { ID_PARAMS, validate, validateRequest } = require('../validation');
+const { sendError, sendFieldError } = require('../errors');
+const commentRoutes = require('./comments');
+const slaRoutes = require('./sla');
+const statsRoutes = require('./stats');
+const transferRoutes = require('./transfer');
+const ticketTagRoutes = require('./ticketTags');
+const attachmentRoutes = require('./attachments');
+const streamRoutes = require('./stream');
 
 const router = express.Router();
 
-// List tickets with optional filters
+// SLA report, policies, statistics and the live event stream
+// (mounted before /:id so "sla", "stats" and "stream" aren't read as ticket ids)
+router.use('/sla', slaRoutes);
+router.use('/stats', statsRoutes);
+router.use('/stream', streamRoutes);
+
+// Export and import (same reason - /export must win over /:id)
+router.use(transferRoutes);
+
+// Comment threads, tags and attachments live under each ticket
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/tags', ticketTagRoutes);
+router.use('/:id/attachments', attachmentRoutes);
+
+// Drop internal columns (the full-text search vector) from API responses
+// and attach the computed SLA due dates and breach flags
+function serializeTicket(row, policies) {
+  const { search_vector, ...ticket } = row;
+  ticket.sla = sla.computeSla(ticket, policies);
+  return ticket;
+}
+
+// Sortable fields -> SQL expression and the type its cursor value is cast back to
+// Severity and status sort in workflow order rather than alphabetically
+const SORT_FIELDS = {
+  created_at: { expression: 'created_at', type: 'timestamp' },
+  updated_at: { expression: 'updated_at', type: 'timestamp' },
+  severity: {
+    expression: "COALESCE(array_position(ARRAY['low', 'medium', 'high', 'critical']::varchar[], severity), 0)",
+    type: 'integer',
+  },
+  status: {
+    expression: "COALESCE(array_position(ARRAY['open', 'in_progress', 'escalated', 'resolved']::varchar[], status), 0)",
+    type: 'integer',
+  },
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url-encoded JSON of the sort, boundary row and direction
+function encodeCursor(sort, row, direction) {
+  const payload = { s: sort, v: row.cursor_value, id: row.id, d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !Number.isInteger(payload.id) || payload.id < 1 || payload.id > 2147483647) {
+      return null;
+    }
+    if (typeof payload.v !== 'string' || !['next', 'prev'].includes(payload.d)) {
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+// A cursor's boundary value, by sort type, as the page query's ::text renders it
+// Cursors come back from clients, so a tampered value has to fail here rather than in the SQL cast
+const CURSOR_VALUE_CHECKS = {
+  timestamp: (value) => {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d{1,6})?$/.exec(value);
+    if (!match) return false;
+    // Round-trip through Date so impossible ones like 2024-02-30 or 24:00:00 are caught too
+    const date = new Date(`${match[1]}T${match[2]}Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 19) === `${match[1]}T${match[2]}`;
+  },
+  integer: (value) => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= 2147483647,
+  real: (value) => value.trim() !== '' && Number.isFinite(Number(value)),
+};
+
+// A ticket's ETag is its version (bumped by the database on every update)
+function ticketEtag(ticket) {
+  return `"${ticket.version}"`;
+}
+
+// Versions listed in an If-Match header ("*" matches any version)
+// Weak ETags never match (If-Match uses strong comparison), so they're dropped
+function parseIfMatch(header) {
+  if (header.trim() === '*') return '*';
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1]));
+}
+
+// SLA flags depend on the clock, so list ETags also roll over every minute
+const LIST_ETAG_WINDOW_MS = 60 * 1000;
+
+// List ETag from the request and a few aggregates over the matching tickets
+// Any insert, edit or delete moves at least one of them, and unlike hashing every
+// id/version they need no sort, so unchanged polls can be answered with 304 cheaply
+async function listEtag(req, source, where, params) {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) AS count,
+       MAX(id) AS max_id,
+       MAX(updated_at) AS updated_at,
+       SUM(version) AS versions,
+       (SELECT MAX(updated_at) FROM sla_policies) AS policies_updated_at
+     FROM ${source} ${where}`,
+    params,
+    { intent: 'read' }
+  );
+
+  const { count, max_id, updated_at, versions, policies_updated_at } = result.rows[0];
+  const hash = crypto
+    .createHash('sha1')
+    .update([
+      req.originalUrl,
+      count,
+      max_id,
+      updated_at && updated_at.getTime(),
+      versions,
+      policies_updated_at && policies_updated_at.getTime(),
+      Math.floor(Date.now() / LIST_ETAG_WINDOW_MS),
+    ].join('|'))
+    .digest('base64url');
+
+  return `W/"${hash}"`;
+}
+
+const LIST_QUERY_SCHEMA = {
+  ...FILTER_SCHEMA,
+  sort: { type: 'string' },
+  cursor: { type: 'string' },
+  limit: { type: 'integer', min: 1, default: DEFAULT_LIMIT },
+  include_total: { type: 'boolean', default: false },
+};
+
+// List tickets with optional filters, full-text search and keyset pagination
 // GET /api/tickets?status=open&severity=high&limit=10
-router.get('/', async (req, res) => {
+// GET /api/tickets?q="bad gateway" deploy*
+// GET /api/tickets?sort=-severity&created_after=2024-01-01&include_total=true
+// GET /api/tickets?tags=postgres,networking&tags_match=all
+// GET /api/tickets?include=archived,deleted
+// GET /api/tickets?cursor=<pagination.next>
+// Send If-None-Match with the last ETag to get 304 Not Modified when nothing changed
+// Served from the read replica when one is configured, so a just-written change can take a moment to show up
+router.get('/', validateRequest({ query: LIST_QUERY_SCHEMA }), async (req, res) => {
   try {
-    const { status, severity, customer_id, assigned_to, limit = 50, offset = 0 } = req.query;
-
-    let query = 'SELECT * FROM support_tickets WHERE 1=1';
+    const { q, sort, cursor, limit, include_total } = req.query;
     const params = [];
-    let paramCount = 1;
 
-    // Add filters (demonstrating parameterized queries to prevent SQL injection)
-    if (status) {
-      query += ` AND status = $${paramCount++}`;
-      params.push(status);
+    // Archived tickets live in ticket_archive; include=archived reads both tables
+    const include = req.query.include || [];
+    const source = include.includes('archived') ? archive.ARCHIVE_SOURCE : 'support_tickets';
+
+    const filters = buildTicketFilters(req.query, params);
+    if (filters.error) {
+      return sendFieldError(res, filters.field, filters.error);
     }
+    const { conditions, searchQuery } = filters;
+
+    // Cap the page size so a single request can't pull the whole table
+    const pageSize = Math.min(limit, MAX_LIMIT);
 
-    if (severity) {
-      query += ` AND severity = $${paramCount++}`;
-      params.push(severity);
+    // Cursors carry their sort, so clients only need to send the filters and the cursor
+    const decoded = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decoded) {
+      return sendFieldError(res, 'cursor', 'Invalid cursor');
     }
 
-    if (customer_id) {
-      query += ` AND customer_id = $${paramCount++}`;
-      params.push(parseInt(customer_id));
+    // Searches default to relevance order, everything else to newest first
+    const sortKey = sort || (decoded && decoded.s) || (q ? '-relevance' : '-created_at');
+    const sortName = sortKey.replace(/^-/, '');
+    const descending = sortKey.startsWith('-');
+
+    let sortField = SORT_FIELDS[sortName];
+    if (sortName === 'relevance' && searchQuery) {
+      sortField = { expression: `ts_rank(search_vector, ${searchQuery})`, type: 'real' };
+    }
+    if (!sortField) {
+      const sortable = Object.keys(SORT_FIELDS).concat(q ? ['relevance'] : []);
+      return sendFieldError(
+        res,
+        'sort',
+        `Invalid sort. Must be one of: ${sortable.join(', ')} (prefix with - for descending)`
+      );
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Conditional GET: answer unchanged polls before running the page query
+    res.set('ETag', await listEtag(req, source, where, params));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // Total matching rows (before the cursor is applied), only when asked for
+    let total;
+    if (include_total) {
+      const countResult = await db.query(
+        `SELECT COUNT(*) AS total FROM ${source} ${where}`,
+        [...params],
+        { intent: 'read' }
+      );
+      total = parseInt(countResult.rows[0].total);
+    }
+
+    // Keyset pagination: continue strictly after (or before) the cursor row
+    let backwards = false;
+    if (decoded) {
+      if (decoded.s !== sortKey) {
+        return sendFieldError(res, 'cursor', 'Cursor does not match the requested sort');
+      }
+      if (!CURSOR_VALUE_CHECKS[sortField.type](decoded.v)) {
+        return sendFieldError(res, 'cursor', 'Invalid cursor');
+      }
+
+      backwards = decoded.d === 'prev';
+      const operator = descending !== backwards ? '<' : '>';
+      params.push(decoded.v, decoded.id);
+      conditions.push(
+        `(${sortField.expression}, id) ${operator} ($${params.length - 1}::${sortField.type}, $${params.length})`
+      );
     }
 
-    if (assigned_to) {
-      query += ` AND assigned_to = $${paramCount++}`;
-      params.push(assigned_to);
+    // Walking backwards reads in reverse order and flips the page afterwards
+    const direction = descending !== backwards ? 'DESC' : 'ASC';
+
+    let select = `SELECT *, ${tags.TAGS_SELECT}, (${sortField.expression})::text AS cursor_value`;
+    if (searchQuery) {
+      // Full-text search ranks matches by relevance and highlights the matched terms
+      select += `,
+        ts_rank(search_vector, ${searchQuery}) AS rank,
+        ts_headline('english', title, ${searchQuery},
+          'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_highlight,
+        ts_headline('english', COALESCE(description, ''), ${searchQuery},
+          'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5') AS snippet`;
     }
 
-    query += ` ORDER BY created_at DESC LIMIT $${paramCount++} OFFSET $${paramCount++}`;
-    params.push(parseInt(limit), parseInt(offset));
+    params.push(pageSize + 1);
+    const query = `
+      ${select}
+      FROM ${source}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${sortField.expression} ${direction}, id ${direction}
+      LIMIT $${params.length}
+    `;
 
-    const result = await db.query(query, params);
+    const result = await db.query(query, params, { intent: 'read' });
+    const policies = await sla.loadPolicies();
+
+    // One extra row tells us whether there is another page in the reading direction
+    const hasMore = result.rows.length > pageSize;
+    const rows = result.rows.slice(0, pageSize);
+    if (backwards) rows.reverse();
+
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const pagination = {
+      sort: sortKey,
+      limit: pageSize,
+      next: last && (backwards || hasMore) ? encodeCursor(sortKey, last, 'next') : null,
+      prev: first && (backwards ? hasMore : Boolean(cursor)) ? encodeCursor(sortKey, first, 'prev') : null,
+    };
+
+    const tickets = rows.map((row) => {
+      const { cursor_value, title_highlight, snippet, archived_tags, ...ticket } = serializeTicket(row, policies);
+      if (ticket.archived_at) ticket.tags = archived_tags;
+      if (!searchQuery) return ticket;
+
+      return { ...ticket, highlight: { title: title_highlight, description: snippet } };
+    });
 
     res.json({
-      count: result.rows.length,
-      tickets: result.rows,
+      count: tickets.length,
+      ...(total !== undefined && { total }),
+      tickets,
+      pagination,
     });
   } catch (err) {
     console.error('[TICKETS] Failed to list tickets:', err.message);
-    res.status(500).json({ error: 'Failed to list tickets' });
+    sendError(res, 500, 'internal_error', 'Failed to list tickets');
   }
 });
 
+const GET_QUERY_SCHEMA = {
+  include: { type: 'array', list: true, items: { type: 'string', enum: ['comments', 'deleted'] }, default: [] },
+};
+
 // Get single ticket by ID
-// GET /api/tickets/:id
-router.get('/:id', async (req, res) => {
+// GET /api/tickets/:id?include=comments
+// The ETag header carries the ticket version for PATCH If-Match; with include=comments
+// the response also depends on the comments, so the version is only in the body
+// Archived tickets are returned read-only (with archived_at); deleted ones need include=deleted
+router.get('/:id', validateRequest({ params: ID_PARAMS, query: GET_QUERY_SCHEMA }), async (req, res) => {
   try {
     const { id } = req.params;
+    const { include } = req.query;
 
     const result = await db.query(
-      'SELECT * FROM support_tickets WHERE id = $1',
-      [parseInt(id)]
+      `SELECT *, ${tags.TAGS_SELECT} FROM support_tickets WHERE id = $1`,
+      [id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Ticket not found' });
+    if (result.rows.length === 0 || (result.rows[0].deleted_at && !include.includes('deleted'))) {
+      const archived = await db.query(
+        `SELECT (jsonb_populate_record(NULL::support_tickets, ticket)).*, tags, comments, archived_at
+         FROM ticket_archive WHERE id = $1`,
+        [id]
+      );
+
+      if (archived.rows.length === 0) {
+        return sendError(res, 404, 'not_found', 'Ticket not found');
+      }
+
+      const { comments, ...row } = archived.rows[0];
+      const ticket = serializeTicket(row, await sla.loadPolicies());
+      if (include.includes('comments')) ticket.comments = comments;
+      return res.json(ticket);
     }
 
-    res.json(result.rows[0]);
+    const ticket = serializeTicket(result.rows[0], await sla.loadPolicies());
+
+    // Optionally embed the comment thread
+    if (include.includes('comments')) {
+      const comments = await db.query(
+        'SELECT * FROM ticket_comments WHERE ticket_id = $1 ORDER BY created_at ASC, id ASC',
+        [ticket.id]
+      );
+      ticket.comments = comments.rows;
+    } else {
+      res.set('ETag', ticketEtag(ticket));
+    }
+
+    res.json(ticket);
   } catch (err) {
     console.error('[TICKETS] Failed to get ticket:', err.message);
-    res.status(500).json({ error: 'Failed to get ticket' });
+    sendError(res, 500, 'internal_error', 'Failed to get ticket');
   }
 });
 
 // Create new ticket
 // POST /api/tickets
-router.post('/', async (req, res) => {
+// {"title":"...","severity":"high","auto_assign":"least_loaded","tags":["postgres"]}
+router.post('/', validateRequest({ body: workflow.CREATE_TICKET_SCHEMA }), async (req, res) => {
   try {
-    const { title, description, severity, customer_id, assigned_to } = req.body;
+    const { title, description, severity, customer_id, assigned_to, auto_assign } = req.body;
+    const tagNames = tags.normalizeTagNames(req.body.tags || []).names;
 
-    // Validation
-    if (!title || title.trim().length === 0) {
-      return res.status(400).json({ error: 'Title is required' });
+    // Auto-assignment is opt-in
+    const strategy = auto_assign === true ? 'least_loaded' : auto_assign || undefined;
+    if (strategy && assigned_to) {
+      return sendFieldError(res, 'auto_assign', 'Use either assigned_to or auto_assign, not both');
     }
 
-    const validSeverities = ['low', 'medium', 'high', 'critical'];
-    if (severity && !validSeverities.includes(severity)) {
-      return res.status(400).json({
-        error: `Invalid severity. Must be one of: ${validSeverities.join(', ')}`,
-      });
+    // The assignment, the ticket and its tags are saved together
+    const ticket = await db.transaction(async (client) => {
+      // Assignees must be on the roster; store the agent's canonical name
+      let assignee = null;
+      if (assigned_to) {
+        const agent = await agents.findAgentByName(client, assigned_to);
+        if (!agent) {
+          return db.rollback(null);
+        }
+        assignee = agent.name;
+      } else if (strategy) {
+        assignee = await agents.pickAgent(client, strategy);
+      }
+
+      const result = await client.query(
+        `INSERT INTO support_tickets (title, description, severity, customer_id, assigned_to)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [title, description || null, severity, customer_id || null, assignee]
+      );
+
+      await tags.addTicketTags(client, result.rows[0].id, tagNames);
+      return result.rows[0];
+    }, { name: 'ticket creation' });
+
+    if (!ticket) {
+      return sendFieldError(res, 'assigned_to', `Unknown agent: ${assigned_to}`, 'unknown_agent');
     }
 
-    const result = await db.query(
-      `INSERT INTO support_tickets (title, description, severity, customer_id, assigned_to)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [title, description || null, severity || 'low', customer_id || null, assigned_to || null]
-    );
+    ticket.tags = tagNames.sort();
 
-    console.log(`[TICKETS] Created new ticket #${result.rows[0].id}: ${title}`);
-    res.status(201).json(result.rows[0]);
+    console.log(`[TICKETS] Created new ticket #${ticket.id}: ${title}`);
+    if (strategy && ticket.assigned_to) {
+      console.log(`[TICKETS] Auto-assigned ticket #${ticket.id} to ${ticket.assigned_to} (${strategy})`);
+    } else if (strategy) {
+      console.warn('[TICKETS] Auto-assign found no available agent, leaving ticket unassigned');
+    }
+
+    // Point at open tickets from the same customer that look like this one
+    // The ticket is already committed, so a failed lookup mustn't turn the create into a 500
+    let possibleDuplicates = [];
+    try {
+      possibleDuplicates = await duplicates.findDuplicates(db, ticket);
+    } catch (err) {
+      console.error(`[TICKETS] Duplicate check failed for ticket #${ticket.id}:`, err.message);
+    }
+    if (possibleDuplicates.length > 0) {
+      console.log(
+        `[TICKETS] Ticket #${ticket.id} may duplicate #${possibleDuplicates.map((t) => t.id).join(', #')}`
+      );
+    }
+
+    res.status(201).json({
+      ...serializeTicket(ticket, await sla.loadPolicies()),
+      possible_duplicates: possibleDuplicates,
+    });
   } catch (err) {
+    // 23503 = foreign_key_violation: customer_id doesn't match a customer
+    if (err.code === '23503') {
+      return sendFieldError(res, 'customer_id', 'Customer not found', 'not_found');
+    }
     console.error('[TICKETS] Failed to create ticket:', err.message);
-    res.status(500).json({ error: 'Failed to create ticket' });
+    sendError(res, 500, 'internal_error', 'Failed to create ticket');
   }
 });
 
+// The fields an update can change (bulk actions validate their value against the same rules)
+const TICKET_CHANGE_SCHEMA = {
+  status: { type: 'string', enum: workflow.STATUSES },
+  severity: { type: 'string', enum: workflow.SEVERITIES },
+  assigned_to: { type: 'string', nullable: true, maxLength: 100 },
+};
+
+const UPDATE_TICKET_SCHEMA = {
+  ...TICKET_CHANGE_SCHEMA,
+  resolution_time: { readOnly: 'resolution_time is computed automatically when a ticket is resolved' },
+  version: { type: 'integer', min: 1 },
+  actor: { type: 'string', maxLength: 100 },
+};
+
 // Update ticket
 // PATCH /api/tickets/:id
-router.patch('/:id', async (req, res) => {
+// Send If-Match: "<version>" (412 when stale) or {"version":3} in the body (409 when stale)
+// to make sure you're not overwriting someone else's change
+router.patch('/:id', validateRequest({ params: ID_PARAMS, body: UPDATE_TICKET_SCHEMA }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, severity, assigned_to, resolution_time } = req.body;
+    const { version, actor, ...changes } = req.body;
+
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'validation_failed', 'No fields to update', {
+        details: Object.keys(TICKET_CHANGE_SCHEMA).map((field) => ({
+          field,
+          code: 'required',
+          message: `Send at least one of: ${Object.keys(TICKET_CHANGE_SCHEMA).join(', ')}`,
+        })),
+      });
+    }
 
-    // Build dynamic update query
-    const updates = [];
-    const params = [];
-    let paramCount = 1;
-
-    if (status !== undefined) {
-      const validStatuses = ['open', 'in_progress', 'resolved', 'escalated'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
-        });
+    // If-Match wins over a body version; without either the update is unconditional
+    const ifMatch = req.get('If-Match');
+    let expectedVersions;
+    if (ifMatch !== undefined) {
+      const parsed = parseIfMatch(ifMatch);
+      expectedVersions = parsed === '*' ? undefined : parsed;
+    } else if (version !== undefined) {
+      expectedVersions = [version];
+    }
+
+    // Update and history rows are written atomically so the audit trail never drifts
+    const outcome = await db.transaction(async (client) => {
+      const changed = await applyTicketChanges(client, id, changes, actor, expectedVersions);
+      return changed.ticket ? changed : db.rollback(changed);
+    }, { name: `update of ticket #${id}` });
+
+    if (!outcome.ticket) {
+      // Stale version: hand back the current ticket so the client can merge and retry
+      if (outcome.conflict) {
+        const current = await db.query(
+          `SELECT *, ${tags.TAGS_SELECT} FROM support_tickets WHERE id = $1`,
+          [id]
+        );
+        const ticket = serializeTicket(current.rows[0], await sla.loadPolicies());
+
+        console.warn(`[TICKETS] Rejected stale update to ticket #${id} (now version ${ticket.version})`);
+        return res
+          .status(ifMatch !== undefined ? 412 : 409)
+          .set('ETag', ticketEtag(ticket))
+          .json({ ...outcome.body, ticket });
+      }
+
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    const ticket = serializeTicket(outcome.ticket, await sla.loadPolicies());
+    ticket.tags = await tags.getTicketTags(db, ticket.id);
+
+    console.log(`[TICKETS] Updated ticket #${id} (version ${ticket.version})`);
+    res.set('ETag', ticketEtag(ticket)).json(ticket);
+  } catch (err) {
+    console.error('[TICKETS] Failed to update ticket:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to update ticket');
+  }
+});
+
+// Delete and restore only record who did it
+const ACTOR_SCHEMA = {
+  actor: { type: 'string', maxLength: 100 },
+};
+
+// Soft delete ticket - it disappears from every endpoint but can be restored
+// DELETE /api/tickets/:id?actor=Sarah%20Chen
+router.delete('/:id', validateRequest({ params: ID_PARAMS, query: ACTOR_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await db.transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE support_tickets SET deleted_at = NOW()
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING id, deleted_at`,
+        [id]
+      );
+      const row = result.rows[0];
+
+      if (row) {
+        await client.query(
+          `INSERT INTO ticket_events (ticket_id, field, old_value, new_value, actor, created_at)
+           VALUES ($1, 'deleted_at', NULL, $2, $3, $4)`,
+          [id, row.deleted_at.toISOString(), req.query.actor || null, row.deleted_at]
+        );
+      }
+      return row;
+    }, { name: `delete of ticket #${id}` });
+
+    if (!deleted) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
+    }
+
+    console.log(`[TICKETS] Deleted ticket #${id}`);
+    res.json({
+      status: 'success',
+      message: 'Ticket deleted successfully',
+      id,
+      deleted_at: deleted.deleted_at,
+    });
+  } catch (err) {
+    console.error('[TICKETS] Failed to delete ticket:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to delete ticket');
+  }
+});
+
+// Bring back a soft-deleted or archived ticket
+// POST /api/tickets/:id/restore
+// {"actor":"Sarah Chen"}
+router.post('/:id/restore', validateRequest({ params: ID_PARAMS, body: ACTOR_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // 'deleted', 'archived', 'live' (nothing to restore) or null (no such ticket)
+    const restored = await db.transaction(async (client) => {
+      const current = await client.query(
+        'SELECT id, deleted_at FROM support_tickets WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (current.rows.length > 0 && !current.rows[0].deleted_at) {
+        return db.rollback('live');
+      }
+
+      if (current.rows.length > 0) {
+        const { deleted_at } = current.rows[0];
+        await client.query('UPDATE support_tickets SET deleted_at = NULL WHERE id = $1', [id]);
+        await client.query(
+          `INSERT INTO ticket_events (ticket_id, field, old_value, new_value, actor)
+           VALUES ($1, 'deleted_at', $2, NULL, $3)`,
+          [id, deleted_at.toISOString(), req.body.actor || null]
+        );
+        return 'deleted';
       }
-      updates.push(`status = $${paramCount++}`);
-      params.push(status);
+
+      return (await archive.restoreArchivedTicket(client, id)) ? 'archived' : null;
+    }, { name: `restore of ticket #${id}` });
+
+    if (restored === 'live') {
+      return sendError(res, 409, 'not_restorable', 'Ticket is not deleted or archived');
     }
 
-    if (severity !== undefined) {
-      updates.push(`severity = $${paramCount++}`);
-      params.push(severity);
+    if (!restored) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
     }
 
-    if (assigned_to !== undefined) {
-      updates.push(`assigned_to = $${paramCount++}`);
-      params.push(assigned_to);
+    const result = await db.query(
+      `SELECT *, ${tags.TAGS_SELECT} FROM support_tickets WHERE id = $1`,
+      [id]
+    );
+
+    console.log(`[TICKETS] Restored ${restored} ticket #${id}`);
+    res.json({
+      restored_from: restored,
+      ticket: serializeTicket(result.rows[0], await sla.loadPolicies()),
+    });
+  } catch (err) {
+    console.error('[TICKETS] Failed to restore ticket:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to restore ticket');
+  }
+});
+
+const ARCHIVE_SCHEMA = {
+  older_than_days: { type: 'integer', min: 0, default: config.archiveAfterDays },
+  dry_run: { type: 'boolean', default: false },
+};
+
+// Move tickets resolved more than N days ago into the archive
+// The same job runs on a schedule via `npm run archive`
+// POST /api/tickets/archive
+// {"older_than_days":90,"dry_run":true}
+router.post('/archive', validateRequest({ body: ARCHIVE_SCHEMA }), async (req, res) => {
+  try {
+    const { older_than_days, dry_run } = req.body;
+
+    const ids = await archive.archiveResolvedTickets(db, {
+      olderThanDays: older_than_days,
+      dryRun: dry_run,
+    });
+
+    console.log(
+      `[TICKETS] Archived ${ids.length} tickets resolved over ${older_than_days} days ago${dry_run ? ' (dry run)' : ''}`
+    );
+    res.json({
+      dry_run,
+      older_than_days,
+      archived: ids.length,
+      ids,
+    });
+  } catch (err) {
+    console.error('[TICKETS] Failed to archive tickets:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to archive tickets');
+  }
+});
+
+// Bulk actions -> the update they apply (same shape as a PATCH body)
+const BULK_ACTIONS = {
+  assign: (value) => ({ assigned_to: value }),
+  status: (value) => ({ status: value }),
+  severity: (value) => ({ severity: value }),
+  close: () => ({ status: 'resolved' }),
+};
+
+const MAX_BULK_TICKETS = 500;
+
+const BULK_SCHEMA = {
+  ids: { type: 'array', minLength: 1, maxLength: MAX_BULK_TICKETS, items: { type: 'integer', min: 1 } },
+  // Same fields as the GET /api/tickets query string
+  filter: { type: 'object', schema: FILTER_SCHEMA, coerce: true },
+  action: { type: 'string', required: true, enum: Object.keys(BULK_ACTIONS) },
+  value: { type: 'string', nullable: true },
+  actor: { type: 'string', maxLength: 100 },
+  dry_run: { type: 'boolean', default: false },
+};
+
+// Apply one action to many tickets in a single transaction
+// POST /api/tickets/bulk
+// {"ids":[1,2,3],"action":"assign","value":"Sarah Chen"}
+// {"filter":{"status":"open","severity":"low"},"action":"close","dry_run":true}
+router.post('/bulk', validateRequest({ body: BULK_SCHEMA }), async (req, res) => {
+  try {
+    const { ids, filter, action, value, actor, dry_run } = req.body;
+
+    if ((ids === undefined) === (filter === undefined)) {
+      return sendFieldError(res, 'ids', 'Provide either ids or filter');
     }
 
-    if (resolution_time !== undefined) {
-      updates.push(`resolution_time = $${paramCount++}`);
-      params.push(parseInt(resolution_time));
+    // Same rules as PATCH /api/tickets/:id, reported against value
+    const update = BULK_ACTIONS[action](value);
+    const { value: changes, details } = validate(TICKET_CHANGE_SCHEMA, update);
+    if (details.length > 0 || Object.keys(changes).length < Object.keys(update).length) {
+      const message = details.length > 0 ? details[0].message : `value is required for ${action}`;
+      return sendFieldError(res, 'value', message.replace(/^\w+ /, 'value '));
     }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
+    // Resolve the target ticket ids
+    let targetIds;
+    if (ids !== undefined) {
+      targetIds = [...new Set(ids)];
+    } else {
+      if ((filter.include || []).includes('archived')) {
+        return sendFieldError(res, 'filter.include', 'Archived tickets are read-only; restore them first');
+      }
+
+      const params = [];
+      const filters = buildTicketFilters(filter, params);
+      if (filters.error) {
+        return sendFieldError(res, `filter.${filters.field}`, filters.error);
+      }
+
+      const where = filters.conditions.length > 0 ? `WHERE ${filters.conditions.join(' AND ')}` : '';
+      params.push(MAX_BULK_TICKETS + 1);
+      const matched = await db.query(
+        `SELECT id FROM support_tickets ${where} ORDER BY id LIMIT $${params.length}`,
+        params
+      );
+      targetIds = matched.rows.map((row) => row.id);
     }
 
-    updates.push(`updated_at = NOW()`);
-    params.push(parseInt(id));
+    if (targetIds.length > MAX_BULK_TICKETS) {
+      return sendFieldError(res, 'filter', `Bulk operations are limited to ${MAX_BULK_TICKETS} tickets`, 'too_large');
+    }
 
-    const query = `
-      UPDATE support_tickets
-      SET ${updates.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING *
-    `;
+    // Every ticket goes through the single-ticket path; rejected tickets are reported and skipped
+    const results = await db.transaction(async (client) => {
+      const outcomes = [];
+
+      for (const id of targetIds) {
+        const outcome = await applyTicketChanges(client, id, changes, actor);
+
+        if (!outcome.ticket) {
+          outcomes.push({
+            id,
+            outcome: outcome.status === 404 ? 'not_found' : 'rejected',
+            ...outcome.body,
+          });
+        } else {
+          outcomes.push({
+            id,
+            outcome: outcome.changed.length > 0 ? 'updated' : 'unchanged',
+            changed: outcome.changed,
+          });
+        }
+      }
 
-    const result = await db.query(query, params);
+      // A dry run does all the work and then throws it away
+      return dry_run ? db.rollback(outcomes) : outcomes;
+    }, { name: `bulk ${action}` });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Ticket not found' });
+    const summary = {};
+    for (const result of results) {
+      summary[result.outcome] = (summary[result.outcome] || 0) + 1;
     }
 
-    console.log(`[TICKETS] Updated ticket #${id}`);
-    res.json(result.rows[0]);
+    console.log(
+      `[TICKETS] Bulk ${action} on ${targetIds.length} tickets${dry_run ? ' (dry run)' : ''}`
+    );
+    res.json({
+      action,
+      dry_run,
+      matched: targetIds.length,
+      summary,
+      results,
+    });
   } catch (err) {
-    console.error('[TICKETS] Failed to update ticket:', err.message);
-    res.status(500).json({ error: 'Failed to update ticket' });
+    console.error('[TICKETS] Failed to run bulk operation:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to run bulk operation');
   }
 });
 
-// Get aggregated statistics
-// GET /api/tickets/stats
-router.get('/api/stats', async (req, res) => {
+// Get the change history of a ticket, oldest first
+// GET /api/tickets/:id/history
+router.get('/:id/history', validateRequest({ params: ID_PARAMS, query: {} }), async (req, res) => {
   try {
-    const result = await db.query(`
-      SELECT
-        status,
-        severity,
-        COUNT(*) as count,
-        AVG(resolution_time) as avg_resolution_time
-      FROM support_tickets
-      GROUP BY status, severity
-      ORDER BY status, severity
-    `);
+    const { id } = req.params;
+
+    const ticket = await db.query(
+      'SELECT id FROM support_tickets WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+
+    if (ticket.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Ticket not found');
+    }
+
+    const result = await db.query(
+      'SELECT * FROM ticket_events WHERE ticket_id = $1 ORDER BY created_at ASC, id ASC',
+      [id]
+    );
+
+    res.json({
+      ticket_id: id,
+      count: result.rows.length,
+      events: result.rows,
+    });
+  } catch (err) {
+    console.error('[TICKETS] Failed to get ticket history:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to get ticket history');
+  }
+});
+
+const MERGE_SCHEMA = {
+  into: { type: 'integer', required: true, min: 1 },
+  actor: { type: 'string', maxLength: 100 },
+};
+
+// Fold a duplicate ticket into a primary ticket
+// The duplicate is resolved with merged_into pointing at the primary; its comments,
+// history and tags move over, and its assignee carries over if the primary has none
+// POST /api/tickets/:id/merge
+// {"into":2,"actor":"Sarah Chen"}
+router.post('/:id/merge', validateRequest({ params: ID_PARAMS, body: MERGE_SCHEMA }), async (req, res) => {
+  try {
+    const duplicateId = req.params.id;
+    const { into, actor } = req.body;
+
+    if (into === duplicateId) {
+      return sendFieldError(res, 'into', 'A ticket cannot be merged into itself');
+    }
+
+    const merged = await db.transaction(async (client) => {
+      // Lock both tickets in id order so concurrent merges can't deadlock
+      const locked = await client.query(
+        'SELECT * FROM support_tickets WHERE id = ANY($1) AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+        [[duplicateId, into]]
+      );
+      const duplicate = locked.rows.find((row) => row.id === duplicateId);
+      const primary = locked.rows.find((row) => row.id === into);
+
+      let rejection = null;
+      if (!duplicate) {
+        rejection = [404, 'not_found', 'Ticket not found'];
+      } else if (!primary) {
+        rejection = [404, 'not_found', 'Primary ticket not found'];
+      } else if (duplicate.merged_into) {
+        rejection = [409, 'already_merged', `Ticket #${duplicate.id} was already merged into #${duplicate.merged_into}`];
+      } else if (primary.merged_into) {
+        rejection = [409, 'already_merged', `Ticket #${primary.id} was merged into #${primary.merged_into}; merge into that ticket instead`];
+      } else if (duplicate.customer_id && primary.customer_id && duplicate.customer_id !== primary.customer_id) {
+        rejection = [409, 'customer_mismatch', 'Only tickets from the same customer can be merged'];
+      }
+
+      if (rejection) {
+        return db.rollback({ rejection });
+      }
+
+      // Carry the history over first, so the primary doesn't inherit the duplicate's closing events
+      const events = await client.query(
+        `INSERT INTO ticket_events (ticket_id, field, old_value, new_value, actor, created_at, merged_from)
+         SELECT $1, field, old_value, new_value, actor, created_at, ticket_id
+         FROM ticket_events WHERE ticket_id = $2
+         ORDER BY created_at, id`,
+        [primary.id, duplicate.id]
+      );
+
+      const comments = await client.query(
+        'UPDATE ticket_comments SET ticket_id = $1, merged_from = $2 WHERE ticket_id = $2',
+        [primary.id, duplicate.id]
+      );
+
+      // Attachment objects keep their keys under the duplicate's prefix; only the rows move
+      const attachments = await client.query(
+        'UPDATE ticket_attachments SET ticket_id = $1 WHERE ticket_id = $2',
+        [primary.id, duplicate.id]
+      );
+
+      const duplicateTags = await tags.getTicketTags(client, duplicate.id);
+      await tags.addTicketTags(client, primary.id, duplicateTags);
+
+      // The duplicate's assignee takes over an unassigned primary
+      if (duplicate.assigned_to && !primary.assigned_to) {
+        await applyTicketChanges(client, primary.id, { assigned_to: duplicate.assigned_to }, actor);
+      }
+
+      // Close the duplicate through the normal workflow, then point it at the primary
+      if (duplicate.status !== 'resolved') {
+        await applyTicketChanges(client, duplicate.id, { status: 'resolved' }, actor);
+      }
+
+      await client.query(
+        'UPDATE support_tickets SET merged_into = $1, merged_at = NOW(), updated_at = NOW() WHERE id = $2',
+        [primary.id, duplicate.id]
+      );
+
+      await client.query(
+        `INSERT INTO ticket_events (ticket_id, field, old_value, new_value, actor)
+         VALUES ($1, 'merged_into', NULL, $2, $5), ($3, 'merged_ticket', NULL, $4, $5)`,
+        [duplicate.id, String(primary.id), primary.id, String(duplicate.id), actor || null]
+      );
+
+      return {
+        moved: {
+          comments: comments.rowCount,
+          events: events.rowCount,
+          attachments: attachments.rowCount,
+          tags: duplicateTags,
+        },
+      };
+    }, { name: `merge of ticket #${duplicateId}` });
+
+    if (merged.rejection) {
+      return sendError(res, ...merged.rejection);
+    }
+    const { moved } = merged;
+
+    const result = await db.query(
+      `SELECT *, ${tags.TAGS_SELECT} FROM support_tickets WHERE id = ANY($1)`,
+      [[duplicateId, into]]
+    );
+    const policies = await sla.loadPolicies();
+    const byId = Object.fromEntries(result.rows.map((row) => [row.id, serializeTicket(row, policies)]));
 
+    console.log(`[TICKETS] Merged ticket #${duplicateId} into #${into}`);
     res.json({
-      statistics: result.rows,
+      primary: byId[into],
+      duplicate: byId[duplicateId],
+      moved,
     });
   } catch (err) {
-    console.error('[TICKETS] Failed to get stats:', err.message);
-    res.status(500).json({ error: 'Failed to get statistics' });
+    console.error('[TICKETS] Failed to merge tickets:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to merge tickets');
   }
 });
 
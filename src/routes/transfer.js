@@ -0,0 +1,392 @@
+// Ticket export and import (CSV and NDJSON)
+// Moves tickets between Railway environments; both directions stream instead of buffering
+const express = require('express');
+const readline = require('readline');
+const db = require('../db');
+const workflow = require('../workflow');
+const agents = require('../agents');
+const { FILTER_SCHEMA, buildTicketFilters } = require('../filters');
+const { applyTicketChanges } = require('../ticketChanges');
+const { ARCHIVE_SOURCE } = require('../archive');
+const { toCsvRow, parseCsv } = require('../csv');
+const { validate, validateRequest } = require('../validation');
+const { sendError, sendFieldError } = require('../errors');
+
+const router = express.Router();
+
+const FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+// Columns written by export, in order
+const EXPORT_COLUMNS = [
+  'id', 'title', 'description', 'severity', 'status', 'customer_id', 'assigned_to',
+  'resolution_time', 'resolve_count', 'reopen_count',
+  'first_response_at', 'resolved_at', 'created_at', 'updated_at',
+];
+
+// Columns read by import - everything else (derived counters, updated_at) is ignored
+const IMPORT_FIELDS = [
+  'id', 'title', 'description', 'severity', 'status', 'customer_id', 'assigned_to',
+  'first_response_at', 'resolved_at', 'created_at',
+];
+
+// Same rules as POST /api/tickets, plus the fields only an import can set
+const IMPORT_ROW_SCHEMA = {
+  ...workflow.CREATE_TICKET_SCHEMA,
+  id: { type: 'integer', min: 1 },
+  status: { type: 'string', enum: workflow.STATUSES },
+  first_response_at: { type: 'date' },
+  resolved_at: { type: 'date' },
+  created_at: { type: 'date' },
+};
+
+const EXPORT_QUERY_SCHEMA = {
+  ...FILTER_SCHEMA,
+  format: { type: 'string', enum: Object.keys(FORMATS), default: 'csv' },
+};
+
+// format defaults to the request's Content-Type
+const IMPORT_QUERY_SCHEMA = {
+  format: { type: 'string', enum: Object.keys(FORMATS) },
+  mode: { type: 'string', enum: ['insert', 'upsert'], default: 'insert' },
+  on_error: { type: 'string', enum: ['skip', 'abort'], default: 'skip' },
+  // Recorded in the history of tickets an upsert changes
+  actor: { type: 'string', maxLength: 100 },
+};
+
+const EXPORT_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 100;
+
+// Write to the response, waiting for the socket to drain when its buffer is full
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Stream tickets matching the list filters
+// GET /api/tickets/export?format=csv&status=open
+// GET /api/tickets/export?format=ndjson&include=archived
+router.get('/export', validateRequest({ query: EXPORT_QUERY_SCHEMA }), async (req, res) => {
+  const { format } = req.query;
+  const source = (req.query.include || []).includes('archived') ? ARCHIVE_SOURCE : 'support_tickets';
+
+  const params = [];
+  const filters = buildTicketFilters(req.query, params);
+  if (filters.error) {
+    return sendFieldError(res, filters.field, filters.error);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': `${FORMATS[format]}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="tickets-${date}.${format}"`,
+  });
+
+  try {
+    if (format === 'csv') {
+      await writeChunk(res, toCsvRow(EXPORT_COLUMNS));
+    }
+
+    // Read in id-ordered batches so only one batch is held in memory at a time
+    let lastId = 0;
+    let exported = 0;
+
+    while (!res.destroyed) {
+      const conditions = [...filters.conditions, `id > $${params.length + 1}`];
+      const result = await db.query(
+        `SELECT ${EXPORT_COLUMNS.join(', ')}
+         FROM ${source}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id
+         LIMIT $${params.length + 2}`,
+        [...params, lastId, EXPORT_BATCH_SIZE]
+      );
+
+      const lines = result.rows.map((row) =>
+        format === 'csv'
+          ? toCsvRow(EXPORT_COLUMNS.map((column) => row[column]))
+          : JSON.stringify(row) + '\n'
+      );
+
+      if (lines.length > 0) {
+        await writeChunk(res, lines.join(''));
+      }
+
+      exported += result.rows.length;
+      if (result.rows.length < EXPORT_BATCH_SIZE) break;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+
+    res.end();
+    console.log(`[TRANSFER] Exported ${exported} tickets as ${format}`);
+  } catch (err) {
+    console.error('[TRANSFER] Export failed:', err.message);
+
+    // Once rows are streaming the status code is gone; cut the connection so the client sees a failure
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    sendError(res, 500, 'internal_error', 'Failed to export tickets');
+  }
+});
+
+// Turn a CSV stream into { row, record } objects keyed by the header row
+async function* csvRecords(stream) {
+  let header = null;
+  let row = 0;
+
+  for await (const values of parseCsv(stream)) {
+    row++;
+
+    if (!header) {
+      header = values.map((name) => name.trim());
+      continue;
+    }
+
+    // Skip blank lines
+    if (values.length === 1 && values[0] === '') continue;
+
+    const record = {};
+    header.forEach((name, i) => {
+      record[name] = values[i];
+    });
+    yield { row, record };
+  }
+}
+
+// Turn an NDJSON stream into { row, record } objects, one JSON document per line
+async function* ndjsonRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let row = 0;
+
+  for await (const text of lines) {
+    row++;
+    if (text.trim() === '') continue;
+
+    try {
+      yield { row, record: JSON.parse(text) };
+    } catch (err) {
+      yield { row, error: 'Invalid JSON' };
+    }
+  }
+}
+
+// Keep the importable fields, treating empty CSV cells as missing
+// Ids only matter to an upsert; inserts always get a new one
+function normalizeRow(record, mode) {
+  const row = {};
+
+  for (const field of IMPORT_FIELDS) {
+    if (field === 'id' && mode !== 'upsert') continue;
+    const value = record[field];
+    if (value === undefined || value === null || value === '') continue;
+    row[field] = value;
+  }
+
+  if (row.id !== undefined) row.id = Number(row.id);
+  if (row.customer_id !== undefined) row.customer_id = Number(row.customer_id);
+
+  return row;
+}
+
+// Every problem with the row as one message, or null when it's valid
+// (schema defaults aren't applied - on upsert, missing columns keep their current value)
+function validateRow(row) {
+  const { details } = validate(IMPORT_ROW_SCHEMA, row);
+  return details.length > 0 ? details.map((detail) => detail.message).join('; ') : null;
+}
+
+// Derive resolution_time once created_at and resolved_at are both settled
+function deriveResolutionTime(client, id) {
+  return client.query(
+    `UPDATE support_tickets
+     SET resolution_time = ROUND(EXTRACT(EPOCH FROM (resolved_at - created_at)) / 60)
+     WHERE id = $1`,
+    [id]
+  );
+}
+
+// Create a ticket from a validated row (keeping its id, on upsert)
+async function insertRow(client, row) {
+  // Assignees must be on the roster; store the agent's canonical name
+  let assignee = null;
+  if (row.assigned_to) {
+    const agent = await agents.findAgentByName(client, row.assigned_to);
+    if (!agent) return { error: `Unknown agent: ${row.assigned_to}` };
+    assignee = agent.name;
+  }
+
+  // Only columns present in the row are written; the rest get their defaults
+  const fields = {};
+  for (const field of ['id', 'title', 'description', 'severity', 'status', 'customer_id']) {
+    if (row[field] !== undefined) fields[field] = row[field];
+  }
+  if (row.assigned_to !== undefined) fields.assigned_to = assignee;
+  for (const field of ['created_at', 'first_response_at']) {
+    if (row[field] !== undefined) fields[field] = new Date(row[field]);
+  }
+
+  // Resolution bookkeeping follows the status, the same way the workflow does it
+  if (row.status === 'resolved') {
+    fields.resolved_at = new Date(row.resolved_at || Date.now());
+    fields.resolve_count = 1;
+  }
+
+  // Move the id sequence past an explicit id before taking it, so tickets created meanwhile
+  // can't be handed the same id (setval isn't transactional - other sessions see it at once)
+  if (fields.id !== undefined) {
+    await client.query(
+      `SELECT setval('support_tickets_id_seq', GREATEST($1, (SELECT last_value FROM support_tickets_id_seq)))`,
+      [fields.id]
+    );
+  }
+
+  const columns = Object.keys(fields);
+  const result = await client.query(
+    `INSERT INTO support_tickets (${columns.join(', ')})
+     VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+     RETURNING id`,
+    Object.values(fields)
+  );
+
+  await deriveResolutionTime(client, result.rows[0].id);
+  return { action: 'inserted' };
+}
+
+// Update an existing ticket from a validated row, the same way PATCH does: the status has to follow
+// the transition graph and every changed field gets a history event. Missing columns keep their value
+async function updateRow(client, row, actor) {
+  const changes = {};
+  for (const field of ['title', 'description', 'severity', 'status', 'customer_id', 'assigned_to']) {
+    if (row[field] !== undefined) changes[field] = row[field];
+  }
+
+  const outcome = await applyTicketChanges(client, row.id, changes, actor);
+  if (outcome.body) return { error: outcome.body.error.message };
+
+  // Timestamps from the file win over the ones the workflow just stamped
+  const stamps = {};
+  for (const field of ['created_at', 'first_response_at']) {
+    if (row[field] !== undefined) stamps[field] = new Date(row[field]);
+  }
+  if (row.resolved_at !== undefined && outcome.ticket.status === 'resolved') {
+    stamps.resolved_at = new Date(row.resolved_at);
+  }
+
+  const columns = Object.keys(stamps);
+  if (columns.length > 0) {
+    await client.query(
+      `UPDATE support_tickets
+       SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+       WHERE id = $${columns.length + 1}`,
+      [...Object.values(stamps), row.id]
+    );
+    await deriveResolutionTime(client, row.id);
+  }
+
+  return { action: 'updated' };
+}
+
+// Insert (or, on upsert, update by id) one validated row inside the import transaction
+// Returns { action: 'inserted' | 'updated' } or { error }
+async function importRow(client, record, mode, actor) {
+  // An NDJSON line can be any JSON value (null, 42, [...]), not just an object
+  if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+    return { error: 'Row must be a JSON object' };
+  }
+
+  const row = normalizeRow(record, mode);
+
+  const error = validateRow(row);
+  if (error) return { error };
+
+  // A savepoint per row lets one bad row fail without aborting the whole import
+  try {
+    return await db.savepoint(client, async () => {
+      if (row.id !== undefined) {
+        const existing = await client.query('SELECT id FROM support_tickets WHERE id = $1', [row.id]);
+        if (existing.rows.length > 0) return updateRow(client, row, actor);
+      }
+      return insertRow(client, row);
+    });
+  } catch (err) {
+    // 23503 = foreign_key_violation: customer_id doesn't match a customer
+    if (err.code === '23503') return { error: 'Customer not found' };
+    return { error: err.message };
+  }
+}
+
+// Import tickets from a CSV or NDJSON request body
+// POST /api/tickets/import?format=csv&mode=upsert&on_error=skip&actor=Sarah%20Chen
+// mode: insert (default, always creates new tickets) or upsert (rows with an id update that ticket)
+// on_error: skip (default, import the good rows) or abort (import nothing if any row is bad)
+router.post('/import', validateRequest({ query: IMPORT_QUERY_SCHEMA }), async (req, res) => {
+  const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+  const { mode, on_error: onError, actor } = req.query;
+
+  // JSON and form bodies have already been consumed by the body parsers
+  if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+    return sendFieldError(
+      res,
+      'body',
+      `Send the file as ${FORMATS[format]}, not ${req.get('Content-Type')}`,
+      'invalid_type'
+    );
+  }
+
+  const report = { format, mode, processed: 0, inserted: 0, updated: 0, failed: 0, errors: [] };
+  const records = format === 'csv' ? csvRecords(req) : ndjsonRecords(req);
+
+  try {
+    // The request body is read as the import goes, so a failed transaction can't be replayed
+    const committed = await db.transaction(async (client) => {
+      for await (const { row, record, error } of records) {
+        report.processed++;
+
+        const outcome = error ? { error } : await importRow(client, record, mode, actor);
+
+        if (outcome.error) {
+          report.failed++;
+          if (report.errors.length < MAX_REPORTED_ERRORS) {
+            report.errors.push({ row, error: outcome.error });
+          }
+          if (onError === 'abort') break;
+        } else {
+          report[outcome.action]++;
+        }
+      }
+
+      if (onError === 'abort' && report.failed > 0) {
+        return db.rollback(false);
+      }
+
+      return true;
+    }, { retries: 0, name: 'import' });
+
+    if (!committed) {
+      console.warn(`[TRANSFER] Import aborted at row ${report.errors[0].row}: ${report.errors[0].error}`);
+      return res.status(422).json({ ...report, inserted: 0, updated: 0, aborted: true });
+    }
+
+    console.log(
+      `[TRANSFER] Imported ${report.inserted + report.updated}/${report.processed} rows (${report.failed} failed)`
+    );
+    res.json(report);
+  } catch (err) {
+    console.error('[TRANSFER] Import failed:', err.message);
+    sendError(res, 500, 'internal_error', 'Failed to import tickets');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// Shared S3 client for the storage routes and ticket attachments
+const { S3Client } = require('@aws-sdk/client-s3');
+const config = require('./config');
+const { sendError } = require('./errors');
+
+// Initialize S3 Client
+// Only initialize if credentials are present to avoid startup crashes if not configured
+let s3Client = null;
+
+if (config.s3.accessKeyId && config.s3.secretAccessKey && config.s3.bucketName) {
+  s3Client = new S3Client({
+    region: config.s3.region,
+    endpoint: config.s3.endpoint,
+    credentials: {
+      accessKeyId: config.s3.accessKeyId,
+      secretAccessKey: config.s3.secretAccessKey,
+    },
+    forcePathStyle: true, // Required for some S3 compatible providers
+  });
+  console.log('[STORAGE] S3 Client initialized');
+} else {
+  console.warn('[STORAGE] S3 credentials missing, storage endpoints will be disabled');
+}
+
+// Middleware to check if S3 is configured
+const requireS3 = (req, res, next) => {
+  if (!s3Client) {
+    return sendError(
+      res,
+      503,
+      'storage_not_configured',
+      'S3 storage is not configured. Please check environment variables.'
+    );
+  }
+  next();
+};
+
+module.exports = {
+  s3Client,
+  requireS3,
+};
@@ -1,27 +1,40 @@
 // Railway Support Lab - Main Server
 // A practice application for debugging Railway deployments
 const express = require('express');
+const { performance } = require('perf_hooks');
 const config = require('./config');
 const db = require('./db');
+const stream = require('./stream');
+const migrate = require('./migrate');
+const metrics = require('./metrics');
+const healthChecks = require('./healthChecks');
+const { sendError } = require('./errors');
 
 // Import routes
 const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
 const ticketRoutes = require('./routes/tickets');
 const statusRoutes = require('./routes/status');
 const debugRoutes = require('./routes/debug');
 const storageRoutes = require('./routes/storage');
+const customerRoutes = require('./routes/customers');
+const agentRoutes = require('./routes/agents');
+const tagRoutes = require('./routes/tags');
 
 const app = express();
 
 // ===== MIDDLEWARE =====
 
-// Request logging middleware
+// Request logging middleware (also feeds the request counters and latency histograms in /metrics)
 app.use((req, res, next) => {
-  const start = Date.now();
+  const start = performance.now();
 
   // Log when response finishes
   res.on('finish', () => {
-    const duration = Date.now() - start;
+    const elapsed = performance.now() - start;
+    metrics.observeRequest(req, res, elapsed);
+
+    const duration = Math.round(elapsed);
     const timestamp = new Date().toISOString();
     const logLevel = res.statusCode >= 400 ? 'ERROR' : 'INFO';
 
@@ -49,16 +62,65 @@ app.get('/', (req, res) => {
     description: 'Practice application for Railway deployment debugging',
     endpoints: {
       health: {
-        'GET /health': 'Basic health check',
-        'GET /health/full': 'Full health check with dependencies',
-        'GET /metrics': 'Application metrics',
+        'GET /health': 'Basic health check (same as readiness)',
+        'GET /health/live': 'Liveness probe',
+        'GET /health/ready': 'Readiness probe (fails while starting, draining or a critical dependency is down)',
+        'GET /health/startup': 'Startup probe',
+        'GET /health/full': 'Cached dependency checks with latency and last success',
+        'GET /metrics': 'Prometheus metrics (Accept: application/json for the JSON summary)',
       },
       tickets: {
-        'GET /api/tickets': 'List tickets (supports filters)',
-        'GET /api/tickets/:id': 'Get ticket by ID',
-        'POST /api/tickets': 'Create new ticket',
+        'GET /api/tickets': 'List tickets (supports filters and ?q= full-text search)',
+        'GET /api/tickets/:id': 'Get ticket by ID (?include=comments embeds the thread)',
+        'POST /api/tickets': 'Create new ticket (auto_assign picks an agent)',
         'PATCH /api/tickets/:id': 'Update ticket',
-        'GET /api/tickets/stats': 'Ticket statistics',
+        'DELETE /api/tickets/:id': 'Soft delete ticket',
+        'POST /api/tickets/:id/restore': 'Restore deleted or archived ticket',
+        'POST /api/tickets/archive': 'Archive long-resolved tickets',
+        'GET /api/tickets/:id/history': 'Ticket change history',
+        'POST /api/tickets/:id/merge': 'Merge duplicate ticket into a primary ticket',
+        'POST /api/tickets/bulk': 'Assign, change status/severity or close many tickets at once',
+        'GET /api/tickets/export': 'Stream tickets as CSV or NDJSON (supports list filters)',
+        'POST /api/tickets/import': 'Import tickets from CSV or NDJSON',
+        'GET /api/tickets/stats': 'Ticket statistics, trends and resolution percentiles',
+        'GET /api/tickets/stream': 'Live ticket events (Server-Sent Events)',
+        'GET /api/tickets/sla': 'Tickets breached or at risk of breaching SLA',
+        'GET /api/tickets/sla/policies': 'List SLA policies',
+        'PUT /api/tickets/sla/policies/:severity': 'Update SLA policy',
+        'GET /api/tickets/:id/tags': 'List ticket tags',
+        'POST /api/tickets/:id/tags': 'Add tags to ticket',
+        'PUT /api/tickets/:id/tags': 'Replace ticket tags',
+        'DELETE /api/tickets/:id/tags/:tag': 'Remove tag from ticket',
+        'GET /api/tickets/:id/comments': 'List ticket comments',
+        'POST /api/tickets/:id/comments': 'Add comment (public or internal)',
+        'PATCH /api/tickets/:id/comments/:commentId': 'Edit comment',
+        'DELETE /api/tickets/:id/comments/:commentId': 'Delete comment',
+        'GET /api/tickets/:id/attachments': 'List ticket attachments',
+        'POST /api/tickets/:id/attachments': 'Upload attachment (raw body, ?filename=&uploaded_by=)',
+        'GET /api/tickets/:id/attachments/:attachmentId': 'Get attachment metadata',
+        'GET /api/tickets/:id/attachments/:attachmentId/download': 'Download attachment',
+        'DELETE /api/tickets/:id/attachments/:attachmentId': 'Delete attachment and its file',
+      },
+      customers: {
+        'GET /api/customers': 'List customers with open ticket counts',
+        'GET /api/customers/:id': 'Get customer by ID',
+        'POST /api/customers': 'Create customer',
+        'PATCH /api/customers/:id': 'Update customer',
+        'DELETE /api/customers/:id': 'Delete customer without tickets',
+        'GET /api/customers/:id/tickets': 'Customer tickets with account summary',
+      },
+      agents: {
+        'GET /api/agents': 'List agents with workload',
+        'GET /api/agents/:id': 'Get agent by ID',
+        'POST /api/agents': 'Add agent',
+        'PATCH /api/agents/:id': 'Update agent (skills, availability)',
+        'DELETE /api/agents/:id': 'Remove agent',
+      },
+      tags: {
+        'GET /api/tags': 'List tags with ticket counts',
+        'POST /api/tags': 'Create tag',
+        'PATCH /api/tags/:id': 'Rename or describe tag',
+        'DELETE /api/tags/:id': 'Delete tag',
       },
       status: {
         'GET /api/status': 'Check external API status',
@@ -80,6 +142,8 @@ app.get('/', (req, res) => {
         'GET /debug/memory-leak': 'Allocate memory',
         'POST /debug/crash': 'Crash the application',
         'GET /debug/db-test': 'Database connection tests',
+        'GET /debug/queries': 'Query statistics and slow queries',
+        'DELETE /debug/queries': 'Reset query statistics',
         'GET /debug/env': 'Environment variables',
         'POST /debug/malformed-json': 'Test JSON parsing',
       },
@@ -90,8 +154,11 @@ app.get('/', (req, res) => {
 
 // Mount route handlers
 app.use('/health', healthRoutes);
-app.use('/metrics', healthRoutes);
+app.use('/metrics', metricsRoutes);
 app.use('/api/tickets', ticketRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/tags', tagRoutes);
 app.use('/api/status', statusRoutes);
 app.use('/api/storage', storageRoutes);
 
@@ -108,25 +175,33 @@ if (config.enableDebugEndpoints) {
 // 404 handler
 app.use((req, res) => {
   console.log(`[WARN] 404 Not Found: ${req.method} ${req.path}`);
-  res.status(404).json({
-    error: 'Not Found',
+  sendError(res, 404, 'not_found', 'The requested endpoint does not exist', {
     path: req.path,
     method: req.method,
-    message: 'The requested endpoint does not exist',
   });
 });
 
+// Body parser failures -> envelope code
+const BODY_ERROR_CODES = {
+  'entity.parse.failed': 'invalid_json',
+  'entity.too.large': 'payload_too_large',
+};
+
 // Global error handler
 app.use((err, req, res, next) => {
+  // Malformed or oversized request bodies are the client's fault, not a crash
+  if (BODY_ERROR_CODES[err.type]) {
+    console.warn(`[WARN] Rejected request body: ${err.message}`);
+    return sendError(res, err.status, BODY_ERROR_CODES[err.type], err.message);
+  }
+
   console.error('[ERROR] Unhandled error:', err.message);
   console.error('[ERROR] Stack trace:', err.stack);
 
   // Don't expose internal errors in production
   const isDevelopment = config.nodeEnv === 'development';
 
-  res.status(err.status || 500).json({
-    error: 'Internal Server Error',
-    message: isDevelopment ? err.message : 'An unexpected error occurred',
+  sendError(res, err.status || 500, 'internal_error', isDevelopment ? err.message : 'An unexpected error occurred', {
     ...(isDevelopment && { stack: err.stack }),
   });
 });
@@ -135,23 +210,44 @@ app.use((err, req, res, next) => {
 
 // Handle shutdown signals (important for Railway deployments)
 function gracefulShutdown(signal) {
+  if (healthChecks.lifecycle.shuttingDown) return;
   console.log(`\n[SHUTDOWN] Received ${signal}, starting graceful shutdown...`);
 
-  server.close(() => {
-    console.log('[SHUTDOWN] HTTP server closed');
+  // Readiness fails from now on so no new traffic is routed here
+  healthChecks.markShuttingDown();
+  healthChecks.stop();
 
-    db.pool.end(() => {
-      console.log('[SHUTDOWN] Database connections closed');
-      console.log('[SHUTDOWN] Graceful shutdown complete');
-      process.exit(0);
+  const delay = config.health.shutdownDelayMs;
+  if (delay > 0) {
+    console.log(`[SHUTDOWN] Waiting ${delay}ms for traffic to drain (SHUTDOWN_DELAY_MS)`);
+  }
+
+  setTimeout(() => {
+    // Event streams never finish on their own; end them so the server can close
+    stream.closeAll();
+    stream.stopPruning();
+
+    server.close(() => {
+      console.log('[SHUTDOWN] HTTP server closed');
+
+      db.close()
+        .then(() => {
+          console.log('[SHUTDOWN] Database connections closed');
+          console.log('[SHUTDOWN] Graceful shutdown complete');
+          process.exit(0);
+        })
+        .catch((err) => {
+          console.error('[SHUTDOWN] Failed to close database connections:', err.message);
+          process.exit(1);
+        });
     });
-  });
+  }, delay);
 
-  // Force shutdown after 10 seconds
+  // Force shutdown 10 seconds after the drain delay
   setTimeout(() => {
     console.error('[SHUTDOWN] Forced shutdown after timeout');
     process.exit(1);
-  }, 10000);
+  }, delay + 10000);
 }
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -173,6 +269,38 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // ===== SERVER STARTUP =====
 
+// Apply pending migrations (MIGRATE_ON_START) or refuse to run against an outdated schema
+async function checkMigrations() {
+  if (config.migrateOnStart) {
+    const applied = await migrate.migrateUp(db.pool);
+    console.log(`[SERVER] Applied ${applied.length} migrations`);
+    return;
+  }
+
+  const client = await db.pool.connect();
+  let status;
+  try {
+    status = await migrate.getStatus(client);
+  } finally {
+    client.release();
+  }
+
+  let problem = null;
+  if (status.dirty) {
+    problem = `migration ${migrate.migrationLabel(status.dirty)} is dirty (fix the schema, then run npm run migrate force ${status.dirty.version})`;
+  } else if (status.pending.length > 0) {
+    problem = `${status.pending.length} migrations are pending (run npm run migrate or set MIGRATE_ON_START=true)`;
+  }
+
+  if (!problem) return;
+
+  if (config.allowPendingMigrations) {
+    console.warn(`[SERVER] Starting anyway (ALLOW_PENDING_MIGRATIONS): ${problem}`);
+    return;
+  }
+  throw new Error(`Database schema is out of date: ${problem}`);
+}
+
 async function startServer() {
   try {
     console.log('[SERVER] Starting Railway Support Lab...');
@@ -184,8 +312,17 @@ async function startServer() {
       process.exit(1);
     }
 
-    // Initialize database schema
-    await db.initializeDatabase();
+    // Make sure the schema matches the code before serving traffic
+    await checkMigrations();
+
+    // Start routing reads to the replica once it checks out (DATABASE_REPLICA_URL)
+    db.startReplicaMonitor();
+
+    // Dependency checks run in the background; startup completes after the first round
+    const firstChecks = healthChecks.start();
+
+    // Old event stream rows are pruned hourly, with or without stream clients
+    stream.startPruning();
 
     // Start HTTP server
     const server = app.listen(config.port, '0.0.0.0', () => {
@@ -195,6 +332,11 @@ async function startServer() {
       console.log(`[SERVER] Environment: ${config.nodeEnv}`);
       console.log(`[SERVER] Health check: http://localhost:${config.port}/health`);
       console.log('='.repeat(60));
+
+      firstChecks.then(() => {
+        healthChecks.markStarted();
+        console.log('[SERVER] Startup complete, ready for traffic');
+      });
     });
 
     // Make server accessible for graceful shutdown
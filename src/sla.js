@@ -0,0 +1,57 @@
+// SLA calculations
+// Policies live in the sla_policies table; this turns them into due dates and breach flags
+const db = require('./db');
+
+// A target is "at risk" once less than this share of its window remains
+const AT_RISK_RATIO = 0.25;
+
+const MINUTE_MS = 60 * 1000;
+
+// Load all policies keyed by severity
+async function loadPolicies() {
+  const result = await db.query('SELECT * FROM sla_policies');
+  const policies = {};
+  for (const row of result.rows) {
+    policies[row.severity] = row;
+  }
+  return policies;
+}
+
+// Evaluate one target: when it is due, whether it was missed, and whether it is close to being missed
+function evaluateTarget(createdAt, minutes, completedAt, now) {
+  const start = new Date(createdAt).getTime();
+  const due = start + minutes * MINUTE_MS;
+  const reference = completedAt ? new Date(completedAt).getTime() : now;
+
+  const breached = reference > due;
+  const atRisk = !completedAt && !breached && due - now < minutes * MINUTE_MS * AT_RISK_RATIO;
+
+  return { dueAt: new Date(due), breached, atRisk };
+}
+
+// Computed SLA block for a ticket, or null when its severity has no policy
+function computeSla(ticket, policies, now = Date.now()) {
+  const policy = policies[ticket.severity];
+  if (!policy) return null;
+
+  const firstResponse = evaluateTarget(
+    ticket.created_at, policy.first_response_minutes, ticket.first_response_at, now
+  );
+  const resolution = evaluateTarget(
+    ticket.created_at, policy.resolution_minutes, ticket.resolved_at, now
+  );
+
+  return {
+    first_response_due_at: firstResponse.dueAt,
+    first_response_breached: firstResponse.breached,
+    resolution_due_at: resolution.dueAt,
+    resolution_breached: resolution.breached,
+    at_risk: firstResponse.atRisk || resolution.atRisk,
+  };
+}
+
+module.exports = {
+  AT_RISK_RATIO,
+  loadPolicies,
+  computeSla,
+};
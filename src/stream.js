@@ -0,0 +1,239 @@
+// Live ticket events for GET /api/tickets/stream
+// Database triggers write each ticket change and new comment to ticket_stream and NOTIFY its id
+// (see db.js). Every replica holds one LISTEN connection while it has clients connected, fetches
+// the notified rows and fans them out, so an event reaches clients whichever replica made the change
+const { Client } = require('pg');
+const db = require('./db');
+const config = require('./config');
+
+const CHANNEL = 'ticket_stream';
+
+// Most events replayed to a reconnecting client; further behind than this it should reload instead
+const REPLAY_LIMIT = 1000;
+
+// Stream rows only need to outlive a client's reconnect
+const RETENTION_HOURS = 24;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Connected clients: { send(event), close() }
+const subscribers = new Set();
+
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+let pruneTimer = null;
+
+// Notified ids not fetched yet, and the highest id handed out (to catch up after a reconnect)
+let pending = [];
+let flushing = Promise.resolve();
+let lastId = 0;
+
+// Ids sent recently, so an event that is both replayed after a reconnect and notified goes out once
+const recentIds = new Set();
+const RECENT_IDS = 1000;
+
+// Row -> the event sent to clients
+function serializeEvent(row) {
+  return {
+    id: Number(row.id),
+    type: row.type,
+    ticket_id: row.ticket_id,
+    ...row.data,
+    created_at: row.created_at,
+  };
+}
+
+function dispatch(events) {
+  for (const event of events) {
+    if (recentIds.has(event.id)) continue;
+    recentIds.add(event.id);
+    if (recentIds.size > RECENT_IDS) {
+      recentIds.delete(recentIds.values().next().value);
+    }
+
+    lastId = Math.max(lastId, event.id);
+    for (const subscriber of subscribers) {
+      subscriber.send(event);
+    }
+  }
+}
+
+// Fetch and dispatch the notified rows. Notifications arrive in commit order, so the rows are
+// fetched by id rather than "everything after lastId", which could skip a slow transaction's row
+function flush() {
+  const ids = pending;
+  pending = [];
+  if (ids.length === 0) return;
+
+  flushing = flushing
+    .then(async () => {
+      const result = await db.query(
+        'SELECT * FROM ticket_stream WHERE id = ANY($1::bigint[]) ORDER BY id',
+        [ids]
+      );
+      dispatch(result.rows.map(serializeEvent));
+    })
+    .catch((err) => console.error('[STREAM] Failed to fetch events:', err.message));
+}
+
+async function connect() {
+  // Outside the pool (it holds its connection for good), but named so it is easy to spot in pg_stat_activity
+  const client = new Client({ ...db.connectionOptions, application_name: `${config.db.applicationName}-stream` });
+
+  client.on('notification', (msg) => {
+    if (pending.length === 0) setImmediate(flush);
+    pending.push(msg.payload);
+  });
+
+  // A dropped connection shows up as 'error', 'end' or both
+  const dropped = () => {
+    if (listener !== client) return;
+
+    listener = null;
+    client.end().catch(() => {});
+    scheduleReconnect();
+  };
+
+  client.on('error', (err) => {
+    console.error('[STREAM] Listener connection error:', err.message);
+    dropped();
+  });
+  client.on('end', dropped);
+
+  await client.connect();
+  await client.query(`LISTEN ${CHANNEL}`);
+  console.log('[STREAM] Listening for ticket events');
+  return client;
+}
+
+// Open the LISTEN connection (once, however many clients ask at the same time)
+async function startListening() {
+  if (listener) return;
+  if (!connecting) {
+    connecting = connect()
+      .then(async (client) => {
+        listener = client;
+
+        // Catching up after a reconnect starts from here rather than the beginning of the table
+        if (lastId === 0) {
+          const result = await db.query('SELECT COALESCE(MAX(id), 0) AS id FROM ticket_stream');
+          lastId = Number(result.rows[0].id);
+        }
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+  await connecting;
+}
+
+// Reconnect after a dropped connection and send whatever was missed meanwhile
+function scheduleReconnect() {
+  if (reconnectTimer || subscribers.size === 0) return;
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    if (subscribers.size === 0) return;
+
+    try {
+      await startListening();
+      const { events } = await replay(lastId);
+      dispatch(events);
+    } catch (err) {
+      console.error('[STREAM] Reconnect failed:', err.message);
+      scheduleReconnect();
+    }
+  }, RECONNECT_DELAY_MS);
+}
+
+function stopListening() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  lastId = 0;
+  if (listener) {
+    const client = listener;
+    listener = null;
+    client.end().catch(() => {});
+    console.log('[STREAM] Stopped listening (no clients connected)');
+  }
+}
+
+// Register a client. Resolves once the listener is connected, so no event committed after this
+// returns can be missed; the returned function unsubscribes
+async function subscribe(subscriber) {
+  subscribers.add(subscriber);
+  try {
+    await startListening();
+  } catch (err) {
+    subscribers.delete(subscriber);
+    throw err;
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) stopListening();
+  };
+}
+
+// Events after the given id, oldest first
+// truncated means there were more than REPLAY_LIMIT and the client should reload instead
+async function replay(afterId) {
+  const result = await db.query(
+    'SELECT * FROM ticket_stream WHERE id > $1 ORDER BY id LIMIT $2',
+    [afterId, REPLAY_LIMIT + 1]
+  );
+
+  return {
+    events: result.rows.slice(0, REPLAY_LIMIT).map(serializeEvent),
+    truncated: result.rows.length > REPLAY_LIMIT,
+  };
+}
+
+async function pruneEvents() {
+  try {
+    const result = await db.query(
+      'DELETE FROM ticket_stream WHERE created_at < NOW() - $1 * INTERVAL \'1 hour\'',
+      [RETENTION_HOURS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`[STREAM] Pruned ${result.rowCount} old events`);
+    }
+  } catch (err) {
+    console.error('[STREAM] Failed to prune events:', err.message);
+  }
+}
+
+// The triggers write a row for every ticket change whether or not anyone is listening, so pruning
+// runs for the life of the server (started from server.js) rather than only while clients are connected
+function startPruning() {
+  if (pruneTimer) return;
+  pruneTimer = setInterval(pruneEvents, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+  pruneEvents();
+}
+
+function stopPruning() {
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+}
+
+// End every stream (graceful shutdown - open streams would otherwise keep the server alive)
+function closeAll() {
+  for (const subscriber of subscribers) {
+    subscriber.close();
+  }
+  subscribers.clear();
+  stopListening();
+}
+
+module.exports = {
+  REPLAY_LIMIT,
+  subscribe,
+  replay,
+  closeAll,
+  startPruning,
+  stopPruning,
+};
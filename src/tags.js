@@ -0,0 +1,71 @@
+// Ticket tags (product areas such as postgres, networking, build)
+// Tag names are lowercase slugs; tagging a ticket with an unknown name creates the tag
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// Selects a ticket's tag names as a sorted array (used alongside support_tickets.*)
+const TAGS_SELECT = `ARRAY(
+  SELECT tg.name FROM ticket_tags tt
+  JOIN tags tg ON tg.id = tt.tag_id
+  WHERE tt.ticket_id = support_tickets.id
+  ORDER BY tg.name
+) AS tags`;
+
+// Accepts an array or a comma-separated string; returns { names } or { error }
+function normalizeTagNames(input) {
+  const list = Array.isArray(input) ? input : String(input).split(',');
+
+  if (!list.every((name) => typeof name === 'string')) {
+    return { error: 'tags must be strings' };
+  }
+
+  const names = [...new Set(list.map((name) => name.trim().toLowerCase()).filter(Boolean))];
+
+  const invalid = names.find((name) => !TAG_PATTERN.test(name));
+  if (invalid) {
+    return {
+      error: `Invalid tag "${invalid}". Use lowercase letters, numbers, - and _ (max 50 characters)`,
+    };
+  }
+
+  return { names };
+}
+
+// Link tags to a ticket, creating any tags that don't exist yet
+// db can be the db module or a client inside a transaction
+async function addTicketTags(db, ticketId, names) {
+  if (names.length === 0) return;
+
+  await db.query(
+    `INSERT INTO tags (name)
+     SELECT UNNEST($1::varchar[])
+     ON CONFLICT (name) DO NOTHING`,
+    [names]
+  );
+
+  await db.query(
+    `INSERT INTO ticket_tags (ticket_id, tag_id)
+     SELECT $1, id FROM tags WHERE name = ANY($2::varchar[])
+     ON CONFLICT DO NOTHING`,
+    [ticketId, names]
+  );
+}
+
+// Current tag names on a ticket
+async function getTicketTags(db, ticketId) {
+  const result = await db.query(
+    `SELECT tg.name FROM ticket_tags tt
+     JOIN tags tg ON tg.id = tt.tag_id
+     WHERE tt.ticket_id = $1
+     ORDER BY tg.name`,
+    [ticketId]
+  );
+  return result.rows.map((row) => row.name);
+}
+
+module.exports = {
+  TAGS_SELECT,
+  normalizeTagNames,
+  addTicketTags,
+  getTicketTags,
+};
@@ -0,0 +1,125 @@
+// Ticket updates with history
+// Every path that changes an existing ticket (PATCH, bulk actions, merges, upsert imports) goes through
+// applyTicketChanges, so the transition graph, agent roster and ticket_events history always apply
+const workflow = require('./workflow');
+const agents = require('./agents');
+const { errorBody } = require('./errors');
+
+// Apply validated changes to one ticket inside the caller's transaction
+// Writes one history event per changed field. Returns { ticket, changed } on success,
+// or { status, body } describing why the change was rejected
+// expectedVersions (optional) rejects the change with { conflict } unless the ticket is at one of them
+async function applyTicketChanges(client, id, changes, actor, expectedVersions) {
+  // Lock the row so concurrent updates record the correct old values
+  const current = await client.query(
+    'SELECT * FROM support_tickets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [id]
+  );
+
+  if (current.rows.length === 0) {
+    return { status: 404, body: errorBody('not_found', 'Ticket not found') };
+  }
+
+  const before = current.rows[0];
+  const { status } = changes;
+
+  // Someone else updated the ticket since the caller read it
+  if (Array.isArray(expectedVersions) && !expectedVersions.includes(before.version)) {
+    return {
+      status: 409,
+      conflict: true,
+      body: errorBody(
+        'version_conflict',
+        `Ticket has been modified (now at version ${before.version}); fetch it again and reapply your changes`,
+        { current_version: before.version }
+      ),
+    };
+  }
+
+  // Assignees must be on the roster; store the agent's canonical name
+  if (changes.assigned_to) {
+    const agent = await agents.findAgentByName(client, changes.assigned_to);
+    if (!agent) {
+      const message = `Unknown agent: ${changes.assigned_to}`;
+      return {
+        status: 400,
+        body: errorBody('validation_failed', message, {
+          details: [{ field: 'assigned_to', code: 'unknown_agent', message }],
+        }),
+      };
+    }
+    changes = { ...changes, assigned_to: agent.name };
+  } else if (changes.assigned_to !== undefined) {
+    changes = { ...changes, assigned_to: null };
+  }
+
+  // Enforce the status transition graph
+  if (status !== undefined && !workflow.canTransition(before.status, status)) {
+    return {
+      status: 409,
+      body: errorBody('invalid_transition', `Cannot move ticket from ${before.status} to ${status}`, {
+        current_status: before.status,
+        allowed_transitions: workflow.allowedTransitions(before.status),
+      }),
+    };
+  }
+
+  // Build dynamic update query
+  const fields = Object.keys(changes);
+  const updates = fields.map((field, i) => `${field} = $${i + 1}`);
+  const params = fields.map((field) => changes[field]);
+  const tracked = [...fields];
+
+  // Resolving stamps the resolution time, reopening clears it
+  if (status !== undefined && status !== before.status) {
+    // Picking a ticket up counts as the first response for SLA purposes
+    updates.push('first_response_at = COALESCE(first_response_at, NOW())');
+
+    if (status === 'resolved') {
+      updates.push('resolved_at = NOW()');
+      updates.push('resolution_time = ROUND(EXTRACT(EPOCH FROM (NOW() - created_at)) / 60)');
+      updates.push('resolve_count = resolve_count + 1');
+      tracked.push('resolution_time');
+    } else if (before.status === 'resolved') {
+      updates.push('resolved_at = NULL');
+      updates.push('resolution_time = NULL');
+      updates.push('reopen_count = reopen_count + 1');
+      tracked.push('resolution_time');
+    }
+  }
+
+  updates.push(`updated_at = NOW()`);
+  params.push(before.id);
+
+  const result = await client.query(
+    `UPDATE support_tickets
+     SET ${updates.join(', ')}
+     WHERE id = $${params.length}
+     RETURNING *`,
+    params
+  );
+
+  const ticket = result.rows[0];
+  const changed = [];
+
+  // Record one event per field whose value actually changed
+  for (const field of tracked) {
+    const oldValue = before[field] === null ? null : String(before[field]);
+    const newValue = ticket[field] === null ? null : String(ticket[field]);
+
+    if (oldValue === newValue) continue;
+
+    changed.push(field);
+    await client.query(
+      `INSERT INTO ticket_events (ticket_id, field, old_value, new_value, actor, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [ticket.id, field, oldValue, newValue, actor || null, ticket.updated_at]
+    );
+  }
+
+  return { ticket, changed };
+}
+
+module.exports = {
+  applyTicketChanges,
+};
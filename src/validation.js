@@ -0,0 +1,216 @@
+// Declarative request validation
+// A schema maps every accepted field to a rule; fields that aren't in the schema are rejected.
+//   const CREATE_SCHEMA = {
+//     title: { type: 'string', required: true, maxLength: 255 },
+//     severity: { type: 'string', enum: SEVERITIES, default: 'low' },
+//   };
+//   router.post('/', validateRequest({ body: CREATE_SCHEMA }), handler);
+//
+// Rule options:
+//   type                 'string', 'integer', 'boolean', 'date', 'array' or 'object' (or a list of them)
+//   required / nullable  must be present / may be null
+//   default              value used when the field is missing
+//   enum                 allowed values
+//   min / max            integer bounds (integers never go past the INTEGER column range, so an id like
+//                        99999999999 is a 400 rather than a Postgres out-of-range error)
+//   minLength / maxLength  string (trimmed) or array length
+//   items                rule for each array element
+//   schema / coerce      nested schema for objects, optionally parsed like a query string
+//   list                 split a comma-separated string into an array (query strings)
+//   check                function returning an error message for anything the rule can't express
+//   readOnly             message for fields clients must not send
+// Query strings and route params arrive as text, so integers and booleans are parsed from strings there
+const { sendError } = require('./errors');
+
+// Postgres INTEGER (int4) range - every id and count column in the schema
+const INT4_MIN = -2147483648;
+const INT4_MAX = 2147483647;
+
+// Every route that takes a ticket id (sub-routers mounted under /:id add their own params to it)
+const ID_PARAMS = {
+  id: { type: 'integer', min: 1 },
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  date: 'an ISO 8601 date',
+  array: 'an array',
+  object: 'an object',
+};
+
+// Returns { value } when the value has the type (parsed, when coercing), or null
+function parseType(type, value, coerce) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? { value } : null;
+    case 'integer':
+      if (Number.isInteger(value)) return { value };
+      return coerce && typeof value === 'string' && /^-?\d+$/.test(value) ? { value: Number(value) } : null;
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      return coerce && ['true', 'false'].includes(value) ? { value: value === 'true' } : null;
+    case 'date':
+      return typeof value === 'string' && !isNaN(Date.parse(value)) ? { value } : null;
+    case 'array':
+      return Array.isArray(value) ? { value } : null;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? { value } : null;
+    default:
+      throw new Error(`Unknown schema type: ${type}`);
+  }
+}
+
+// Validate one present field; pushes problems onto details and returns the parsed value
+function validateField(field, rule, input, coerce, details) {
+  const problem = (code, message) => {
+    details.push({ field, code, message });
+    return undefined;
+  };
+
+  if (rule.readOnly) {
+    return problem('read_only', rule.readOnly);
+  }
+
+  if (input === null) {
+    return rule.nullable ? null : problem('invalid_type', `${field} must not be null`);
+  }
+
+  let value = input;
+  if (rule.list && typeof value === 'string') {
+    value = value.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+
+  const types = [].concat(rule.type);
+  const parsed = types.map((type) => parseType(type, value, coerce)).find(Boolean);
+  if (!parsed) {
+    return problem('invalid_type', `${field} must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`);
+  }
+  value = parsed.value;
+
+  if (typeof value === 'string') {
+    if (rule.required && value.trim().length === 0) {
+      return problem('required', `${field} is required`);
+    }
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      return problem('too_short', `${field} must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return problem('too_long', `${field} must be ${rule.maxLength} characters or less`);
+    }
+  }
+
+  if (rule.enum && !Array.isArray(value) && !rule.enum.includes(value)) {
+    return problem('invalid_value', `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    const min = rule.min !== undefined ? rule.min : INT4_MIN;
+    const max = rule.max !== undefined ? Math.min(rule.max, INT4_MAX) : INT4_MAX;
+    if (value < min) {
+      return problem('too_small', `${field} must be at least ${min}`);
+    }
+    if (value > max) {
+      return problem('too_large', `${field} must be at most ${max}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return problem('too_short', `${field} must have at least ${rule.minLength} item${rule.minLength === 1 ? '' : 's'}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return problem('too_long', `${field} must have at most ${rule.maxLength} items`);
+    }
+    if (rule.items) {
+      const before = details.length;
+      value = value.map((item, i) => validateField(`${field}[${i}]`, rule.items, item, coerce, details));
+      if (details.length > before) return undefined;
+    }
+  }
+
+  if (rule.schema && typeof value === 'object' && !Array.isArray(value)) {
+    const nested = validate(rule.schema, value, {
+      coerce: rule.coerce === undefined ? coerce : rule.coerce,
+      prefix: `${field}.`,
+    });
+    details.push(...nested.details);
+    value = nested.value;
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) return problem('invalid_value', message);
+  }
+
+  return value;
+}
+
+// Validate an object against a schema
+// Returns { value, details }: value holds the known fields (parsed, with defaults applied),
+// details every problem found - unknown fields included
+function validate(schema, input, { coerce = false, prefix = '' } = {}) {
+  const details = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    details.push({ field: prefix.replace(/\.$/, ''), code: 'invalid_type', message: 'Expected a JSON object' });
+    return { value, details };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      details.push({ field: `${prefix}${key}`, code: 'unknown_field', message: `Unknown field: ${prefix}${key}` });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === undefined) {
+      if (rule.required) {
+        details.push({ field: `${prefix}${field}`, code: 'required', message: `${prefix}${field} is required` });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+
+    const parsed = validateField(`${prefix}${field}`, rule, raw, coerce, details);
+    if (parsed !== undefined) value[field] = parsed;
+  }
+
+  return { value, details };
+}
+
+// Middleware: validate req.params, req.query and req.body against the given schemas
+// Valid requests continue with the parsed values in place of the raw ones;
+// invalid ones get 400 validation_failed listing every problem
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const source of ['params', 'query', 'body']) {
+      if (!schemas[source]) continue;
+
+      const result = validate(schemas[source], req[source] || {}, { coerce: source !== 'body' });
+      details.push(...result.details);
+      parsed[source] = result.value;
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, 'validation_failed', 'Request validation failed', { details });
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+module.exports = {
+  ID_PARAMS,
+  validate,
+  validateRequest,
+};
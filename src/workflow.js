@@ -0,0 +1,57 @@
+// Ticket workflow rules
+// Valid severities and the status state machine, so every code path enforces the same rules
+const { ASSIGNMENT_STRATEGIES } = require('./agents');
+const { normalizeTagNames } = require('./tags');
+
+const STATUSES = ['open', 'in_progress', 'resolved', 'escalated'];
+
+// Least to most urgent
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// current status -> statuses it may move to next
+// A resolved ticket has to be reopened (back to open) before work resumes on it
+const TRANSITIONS = {
+  open: ['in_progress', 'escalated', 'resolved'],
+  in_progress: ['open', 'escalated', 'resolved'],
+  escalated: ['in_progress', 'resolved'],
+  resolved: ['open'],
+};
+
+// Statuses reachable from the given one
+function allowedTransitions(from) {
+  return TRANSITIONS[from] || [];
+}
+
+// Staying in the same status is always allowed (no-op)
+function canTransition(from, to) {
+  return from === to || allowedTransitions(from).includes(to);
+}
+
+// Request schema for a new ticket (see validation.js) - POST /api/tickets, and the base of an import row
+const CREATE_TICKET_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', nullable: true },
+  severity: { type: 'string', enum: SEVERITIES, default: 'low' },
+  customer_id: { type: 'integer', min: 1, nullable: true },
+  assigned_to: { type: 'string', nullable: true, maxLength: 100 },
+  // true means least_loaded, or name the strategy
+  auto_assign: {
+    type: ['boolean', 'string'],
+    check: (value) => (typeof value === 'string' && !ASSIGNMENT_STRATEGIES.includes(value)
+      ? `auto_assign must be true or one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`
+      : null),
+  },
+  tags: {
+    type: ['array', 'string'],
+    check: (value) => normalizeTagNames(value).error,
+  },
+};
+
+module.exports = {
+  STATUSES,
+  SEVERITIES,
+  TRANSITIONS,
+  allowedTransitions,
+  canTransition,
+  CREATE_TICKET_SCHEMA,
+};